@@ -10,18 +10,34 @@ class QuizApp {
         this.markdownParser = new MarkdownParser();
         this.uiController = new UIController();
         this.quizEngine = null;
+        this.timerInterval = null;
         
         // Application state
         this.questions = [];
+        this.quizMetadata = {};
         this.isInitialized = false;
         
         // Configuration
         this.currentFilePath = 'Quiz.md';
+        this.quizContentHash = null;  // Huella del archivo cargado (invalida el quiz guardado si cambia)
+        this.sessionStorageKey = 'quiz-session';
+        this.studyStorageKey = 'quiz-study-progress';
+        this.studyScheduler = new StudyScheduler();
+        this.historyStorageKey = 'quiz-answer-history';
+        this.questionHistory = new QuestionHistory();
         
         // Bind methods to preserve context
         this.handleStartQuiz = this.handleStartQuiz.bind(this);
         this.handleAnswerSubmitted = this.handleAnswerSubmitted.bind(this);
         this.handleNewQuiz = this.handleNewQuiz.bind(this);
+        this.handleExamNavigate = this.handleExamNavigate.bind(this);
+        this.handleFlagToggled = this.handleFlagToggled.bind(this);
+        this.handleExamSubmitRequested = this.handleExamSubmitRequested.bind(this);
+        this.handleFeedbackContinue = this.handleFeedbackContinue.bind(this);
+        this.handleRetryIncorrect = this.handleRetryIncorrect.bind(this);
+        this.handleResumeQuiz = this.handleResumeQuiz.bind(this);
+        this.handleDiscardSavedQuiz = this.handleDiscardSavedQuiz.bind(this);
+        this.handleResetSeenHistory = this.handleResetSeenHistory.bind(this);
     }
 
     /**
@@ -63,17 +79,31 @@ class QuizApp {
         document.addEventListener('answerSubmitted', this.handleAnswerSubmitted);
         document.addEventListener('newQuiz', this.handleNewQuiz);
         document.addEventListener('loadQuestions', this.handleLoadQuestions.bind(this));
+        document.addEventListener('tagFilterChanged', this.handleTagFilterChanged.bind(this));
+        document.addEventListener('examNavigate', this.handleExamNavigate);
+        document.addEventListener('flagToggled', this.handleFlagToggled);
+        document.addEventListener('examSubmitRequested', this.handleExamSubmitRequested);
+        document.addEventListener('feedbackContinue', this.handleFeedbackContinue);
+        document.addEventListener('retryIncorrect', this.handleRetryIncorrect);
+        document.addEventListener('resumeQuiz', this.handleResumeQuiz);
+        document.addEventListener('discardSavedQuiz', this.handleDiscardSavedQuiz);
+        document.addEventListener('resetSeenHistory', this.handleResetSeenHistory);
         
         // Handle page visibility changes to save state
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) {
                 this.uiController.saveConfiguration();
+                this.saveSession();
+            } else if (this.timerInterval) {
+                // Background tabs throttle setInterval: resync the countdown (and expire) right away
+                this.handleTimerTick();
             }
         });
         
-        // Handle beforeunload to save configuration
+        // Handle beforeunload to save configuration and the quiz in progress
         window.addEventListener('beforeunload', () => {
             this.uiController.saveConfiguration();
+            this.saveSession();
         });
     }
 
@@ -98,11 +128,12 @@ class QuizApp {
             
             // Update current file path on successful load
             this.currentFilePath = targetFilePath;
+            this.quizContentHash = this.hashContent(markdownContent);
             
             // Parse questions using MarkdownParser
             console.log('Contenido del archivo cargado:', markdownContent.length, 'caracteres');
             
-            this.questions = this.markdownParser.parseQuestions(markdownContent);
+            this.questions = this.markdownParser.parseQuestions(markdownContent, { sourcePath: targetFilePath });
             
             console.log('Preguntas parseadas:', this.questions.length);
             if (this.questions.length > 0) {
@@ -113,6 +144,11 @@ class QuizApp {
                 throw new Error('No se encontraron preguntas válidas en el archivo después del parsing');
             }
             
+            // Quiz-level settings from the file's front matter
+            this.quizMetadata = this.markdownParser.getMetadata();
+            this.uiController.applyQuizMetadata(this.quizMetadata);
+            this.uiController.setAvailableTags(QuizEngine.getTagSummary(this.questions));
+            
             // Get parsing statistics for user feedback
             const parsingStats = this.markdownParser.getParsingStats();
             const fileStats = this.fileHandler.getLoadingStats();
@@ -129,6 +165,9 @@ class QuizApp {
             
             // Update UI with success status
             this.uiController.updateFileStatus('success', successMessage, this.questions.length);
+            this.checkSavedSession();
+            this.loadStudyProgress();
+            this.loadQuestionHistory();
             
             // Log detailed results
             console.log(`Cargadas ${this.questions.length} preguntas exitosamente`, {
@@ -153,10 +192,16 @@ class QuizApp {
             
             if (recoveryResult.recovered) {
                 console.log('Recuperación exitosa:', recoveryResult);
+                this.quizContentHash = null;
                 this.questions = recoveryResult.questions;
+                this.quizMetadata = this.markdownParser.getMetadata();
+                this.uiController.applyQuizMetadata(this.quizMetadata);
+                this.uiController.setAvailableTags(QuizEngine.getTagSummary(this.questions));
                 this.uiController.updateFileStatus('success', 
                     `Archivo cargado con recuperación de errores (${recoveryResult.questions.length} preguntas válidas)`, 
                     recoveryResult.questions.length);
+                this.loadStudyProgress();
+                this.loadQuestionHistory();
                 return;
             }
             
@@ -191,7 +236,7 @@ class QuizApp {
                 try {
                     console.log(`Intentando ruta alternativa: ${altPath}`);
                     const content = await this.fileHandler.loadMarkdownFile(altPath);
-                    const questions = this.markdownParser.parseQuestions(content);
+                    const questions = this.markdownParser.parseQuestions(content, { sourcePath: altPath });
                     
                     if (questions.length > 0) {
                         console.log(`Recuperación exitosa con ${altPath}: ${questions.length} preguntas`);
@@ -217,7 +262,7 @@ class QuizApp {
                     this.markdownParser.enableDetailedLogging = false;
                     
                     const content = await this.fileHandler.loadMarkdownFile(this.currentFilePath);
-                    const questions = this.markdownParser.parseQuestions(content);
+                    const questions = this.markdownParser.parseQuestions(content, { sourcePath: this.currentFilePath });
                     
                     // Restore original validation setting
                     this.markdownParser.enableDetailedLogging = originalValidation;
@@ -281,6 +326,19 @@ class QuizApp {
         }
     }
 
+    /**
+     * Handle tag filter changes: the question count limit follows the filtered pool
+     */
+    handleTagFilterChanged(event) {
+        const tags = event.detail?.tags || [];
+        const pool = QuizEngine.filterQuestionsByTags(this.questions, tags);
+        
+        console.log(`Filtro de etiquetas: ${tags.join(', ') || 'todas'} (${pool.length} preguntas)`);
+        this.uiController.setAvailablePoolSize(pool.length);
+        this.updateStudySummary(tags);
+        this.updateSeenCoverage(tags);
+    }
+
     /**
      * Handle start quiz event from UI
      */
@@ -288,12 +346,13 @@ class QuizApp {
         const startContext = {
             requestedQuestions: event.detail?.questionCount,
             filename: event.detail?.filename,
+            tags: event.detail?.tags,
             availableQuestions: this.questions?.length,
             timestamp: new Date().toISOString()
         };
         
         try {
-            const { questionCount, filename } = event.detail;
+            const { questionCount, filename, tags = [], scoringPolicy, mode, shuffleOptions, seed, blueprint: blueprintText, weakSpotFocus } = event.detail;
             
             // Update filename if provided and different from current
             if (filename && filename !== this.currentFilePath) {
@@ -306,8 +365,32 @@ class QuizApp {
             // Comprehensive validation before starting
             this.validateQuizStartConditions(questionCount);
             
+            // Blueprint written on the configuration screen, otherwise the file's
+            let blueprint = this.quizMetadata.blueprint;
+            if (blueprintText) {
+                blueprint = this.markdownParser.parseBlueprint(blueprintText);
+                if (!blueprint) {
+                    throw new Error(`Reparto no válido: "${blueprintText}" (por ejemplo "redes: 5, seguridad: 30%, dificultad-4: 2")`);
+                }
+            }
+            
+            // Only questions matching the selected tags can be drawn
+            let questionPool = QuizEngine.filterQuestionsByTags(this.questions, tags);
+            if (questionPool.length === 0) {
+                throw new Error(`No hay preguntas con las etiquetas seleccionadas: ${tags.join(', ')}`);
+            }
+            
+            // Study mode: only questions due today, then new ones
+            const studyMode = (mode || this.quizMetadata.mode) === 'study';
+            if (studyMode) {
+                questionPool = this.studyScheduler.buildSession(questionPool, questionCount);
+                if (questionPool.length === 0) {
+                    throw new Error('¡Al día! Ninguna pregunta toca repasar hoy; vuelve mañana o elige otro modo');
+                }
+            }
+            
             // Validate question count and adjust if necessary
-            const actualQuestionCount = Math.min(questionCount, this.questions.length);
+            const actualQuestionCount = Math.min(questionCount, questionPool.length);
             if (actualQuestionCount !== questionCount) {
                 console.warn(`Ajustando número de preguntas de ${questionCount} a ${actualQuestionCount}`);
                 
@@ -322,7 +405,30 @@ class QuizApp {
             
             // Create new quiz engine instance with error handling
             try {
-                this.quizEngine = new QuizEngine(this.questions, actualQuestionCount);
+                this.quizEngine = new QuizEngine(studyMode ? questionPool : this.questions, actualQuestionCount, {
+                    passingScore: this.quizMetadata.passingScore,
+                    timeLimit: this.quizMetadata.timeLimit,
+                    questionTimeLimit: this.quizMetadata.questionTimeLimit,
+                    timeWarning: this.quizMetadata.timeWarning,
+                    tags,
+                    partialCredit: this.quizMetadata.partialCredit,
+                    // La política elegida en la configuración tiene prioridad sobre la del archivo
+                    scoringPolicy: scoringPolicy || this.quizMetadata.scoringPolicy,
+                    wrongAnswerPenalty: this.quizMetadata.wrongAnswerPenalty,
+                    penalizeSkipped: this.quizMetadata.penalizeSkipped,
+                    mode: mode || this.quizMetadata.mode,
+                    shuffleOptions: shuffleOptions ?? this.quizMetadata.shuffleOptions,
+                    // Semilla de la configuración (o de la URL), si no la del archivo; sin ninguna, una nueva
+                    seed: seed || this.quizMetadata.seed,
+                    blueprint,
+                    weakSpotFocus: weakSpotFocus ?? this.quizMetadata.weakSpotFocus,
+                    textMatching: {
+                        caseSensitive: this.quizMetadata.caseSensitive,
+                        ignoreAccents: this.quizMetadata.ignoreAccents,
+                        normalizeWhitespace: this.quizMetadata.normalizeWhitespace,
+                        typoTolerance: this.quizMetadata.typoTolerance
+                    }
+                });
             } catch (engineError) {
                 console.error('Error creando QuizEngine:', engineError);
                 throw new Error(`Error al configurar el quiz: ${engineError.message}`);
@@ -336,8 +442,13 @@ class QuizApp {
                 // Non-critical error, continue with quiz
             }
             
-            // Display first question
+            this.showBlueprintWarnings();
+            
+            // Display first question (the new quiz replaces any saved one)
+            this.uiController.showResumeOption(null);
+            this.uiController.setQuizMode(this.quizEngine.settings.mode);
             this.displayCurrentQuestion();
+            this.startTimer();
             
             console.log('Quiz iniciado exitosamente', {
                 ...startContext,
@@ -420,23 +531,123 @@ class QuizApp {
             const result = this.quizEngine.submitAnswer(answer);
             console.log(`Respuesta ${result.isCorrect ? 'correcta' : 'incorrecta'} para pregunta ${result.questionIndex + 1}`);
             
-            // Move to next question or show results
-            const nextQuestion = this.quizEngine.nextQuestion();
-            
-            if (nextQuestion) {
-                // Display next question
-                this.displayCurrentQuestion();
-            } else {
-                // Quiz completed, show results
-                this.displayResults();
+            // Practice mode: show the correction and wait for "Continuar"
+            if (this.quizEngine.hasImmediateFeedback()) {
+                this.uiController.showAnswerFeedback(this.quizEngine.getAnswerFeedback(result.questionIndex));
+                this.saveSession();
+                return;
             }
             
+            this.advanceQuiz();
+            
         } catch (error) {
             console.error('Error al procesar respuesta:', error);
             this.uiController.showError(`Error al procesar la respuesta: ${error.message}`);
         }
     }
 
+    /**
+     * Practice mode: the learner has read the correction
+     */
+    handleFeedbackContinue() {
+        try {
+            if (!this.quizEngine) {
+                throw new Error('Quiz engine no está inicializado');
+            }
+            
+            this.advanceQuiz();
+            
+        } catch (error) {
+            console.error('Error al continuar:', error);
+            this.uiController.showError(`Error al continuar: ${error.message}`);
+        }
+    }
+
+    // Move to next question or show results
+    advanceQuiz() {
+        const nextQuestion = this.quizEngine.nextQuestion();
+        
+        if (nextQuestion) {
+            this.displayCurrentQuestion();
+        } else {
+            // Quiz completed, show results
+            this.stopTimer();
+            this.displayResults();
+        }
+    }
+
+    /**
+     * Exam mode: save the answer on screen (or clear it) and move to another question
+     */
+    handleExamNavigate(event) {
+        try {
+            const { index, answer } = event.detail;
+            
+            if (!this.quizEngine) {
+                throw new Error('Quiz engine no está inicializado');
+            }
+            
+            this.saveExamAnswer(answer);
+            this.quizEngine.goToQuestion(index);
+            this.displayCurrentQuestion();
+            
+        } catch (error) {
+            console.error('Error al navegar por el examen:', error);
+            this.uiController.showError(`Error al cambiar de pregunta: ${error.message}`);
+        }
+    }
+
+    saveExamAnswer(answer) {
+        if (answer) {
+            try {
+                this.quizEngine.submitAnswer(answer);
+            } catch (submitError) {
+                console.warn('Respuesta no válida, no se guarda:', submitError.message);
+            }
+        } else {
+            this.quizEngine.clearAnswer();
+        }
+    }
+
+    handleFlagToggled() {
+        if (!this.quizEngine) return;
+        
+        const isFlagged = this.quizEngine.toggleFlag();
+        this.uiController.setFlagState(isFlagged);
+        this.uiController.updateExamOverview(this.quizEngine.getQuestionOverview());
+        this.saveSession();
+    }
+
+    /**
+     * Exam mode: score only after the learner confirms the submission
+     */
+    handleExamSubmitRequested(event) {
+        try {
+            if (!this.quizEngine) {
+                throw new Error('Quiz engine no está inicializado');
+            }
+            
+            this.saveExamAnswer(event.detail?.answer);
+            this.uiController.updateExamOverview(this.quizEngine.getQuestionOverview());
+            
+            const confirmed = this.uiController.confirmExamSubmit({
+                unanswered: this.quizEngine.getUnansweredCount(),
+                flagged: this.quizEngine.flaggedQuestions.filter(Boolean).length
+            });
+            if (!confirmed) {
+                return;
+            }
+            
+            this.quizEngine.submitExam();
+            this.stopTimer();
+            this.displayResults();
+            
+        } catch (error) {
+            console.error('Error al entregar el examen:', error);
+            this.uiController.showError(`Error al entregar el examen: ${error.message}`);
+        }
+    }
+
     /**
      * Handle new quiz request from UI
      */
@@ -444,10 +655,18 @@ class QuizApp {
         try {
             console.log('Iniciando nuevo quiz');
             
+            // Study sessions are rebuilt from what is due now
+            if (this.quizEngine?.settings.mode === 'study') {
+                this.uiController.onStartQuiz();
+                return;
+            }
+            
             // Reset quiz engine if it exists
             if (this.quizEngine) {
                 this.quizEngine.startNewQuiz();
+                this.showBlueprintWarnings();
                 this.displayCurrentQuestion();
+                this.startTimer();
             } else {
                 // Return to configuration screen
                 this.uiController.showConfiguration();
@@ -459,6 +678,363 @@ class QuizApp {
         }
     }
 
+    /**
+     * Handle a new round with only the questions missed in the last one
+     */
+    handleRetryIncorrect() {
+        try {
+            if (!this.quizEngine) {
+                throw new Error('Quiz engine no está inicializado');
+            }
+            
+            const count = this.quizEngine.retryIncorrect();
+            console.log(`Ronda ${this.quizEngine.round}: ${count} preguntas por repasar`);
+            
+            this.displayCurrentQuestion();
+            this.startTimer();
+            
+        } catch (error) {
+            console.error('Error al repetir las preguntas falladas:', error);
+            this.uiController.showError(`Error al repetir las preguntas falladas: ${error.message}`);
+        }
+    }
+
+    // Blueprint buckets without enough questions: the quiz goes ahead with what there is
+    showBlueprintWarnings() {
+        const { blueprintWarnings: warnings, blueprintAdjustment: adjustment } = this.quizEngine;
+        const messages = [];
+        
+        if (adjustment) {
+            messages.push(`El reparto pide ${adjustment.requested} preguntas y el quiz tiene ${adjustment.total}: cada grupo se reduce en proporción`);
+        }
+        if (warnings.length > 0) {
+            const details = warnings
+                .map(({ label, requested, available }) => `"${label}" pide ${requested} y ${available === 1 ? 'hay 1' : `hay ${available}`}`)
+                .join('; ');
+            messages.push(`No hay preguntas suficientes para el reparto: ${details}`);
+        }
+        if (messages.length === 0) return;
+        
+        this.uiController.showError(messages.join('. '));
+    }
+
+    /**
+     * Start the countdown when the quiz has a total or per-question time limit
+     */
+    startTimer() {
+        this.stopTimer();
+        
+        if (!this.quizEngine || !this.quizEngine.hasTimeLimit()) {
+            this.uiController.updateTimer(null);
+            return;
+        }
+        
+        this.quizEngine.startClock();
+        this.timerInterval = setInterval(() => this.handleTimerTick(), 1000);
+        this.handleTimerTick();
+    }
+
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+        this.uiController.updateTimer(null);
+    }
+
+    /**
+     * Refresh the countdown and act when time runs out
+     */
+    handleTimerTick() {
+        if (!this.quizEngine || this.quizEngine.isCompleted) {
+            this.stopTimer();
+            return;
+        }
+        
+        const status = this.quizEngine.getTimeStatus();
+        this.uiController.updateTimer(status);
+        
+        if (status?.isExpired) {
+            this.handleTimeExpired(status.scope);
+        }
+    }
+
+    handleTimeExpired(scope) {
+        try {
+            // A selected but not yet submitted answer still counts
+            const pendingAnswer = this.uiController.selectedAnswer;
+            if (pendingAnswer) {
+                try {
+                    this.quizEngine.submitAnswer(pendingAnswer);
+                } catch (submitError) {
+                    console.warn('Respuesta pendiente no válida, se deja sin responder:', submitError.message);
+                }
+            }
+            
+            const nextQuestion = this.quizEngine.handleTimeExpired(scope);
+            
+            if (nextQuestion) {
+                console.log(`Tiempo agotado, pasando a la pregunta ${this.quizEngine.progress.current}`);
+                this.displayCurrentQuestion();
+                this.uiController.showTimeExpiredNotice();
+            } else {
+                console.log('Tiempo agotado, quiz finalizado');
+                this.stopTimer();
+                this.displayResults();
+            }
+            
+        } catch (error) {
+            console.error('Error al agotarse el tiempo:', error);
+            this.stopTimer();
+            this.uiController.showError(`Error al agotarse el tiempo: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save the quiz in progress so a reload or a browser crash can resume it
+     */
+    saveSession() {
+        if (!this.quizEngine || this.quizEngine.isCompleted || !this.quizContentHash) return;
+        
+        try {
+            localStorage.setItem(this.sessionStorageKey, JSON.stringify({
+                filename: this.currentFilePath,
+                contentHash: this.quizContentHash,
+                savedAt: new Date().toISOString(),
+                state: this.quizEngine.serializeState()
+            }));
+        } catch (error) {
+            console.warn('No se pudo guardar el progreso del quiz:', error);
+        }
+    }
+
+    getSavedSession() {
+        try {
+            const saved = localStorage.getItem(this.sessionStorageKey);
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            console.warn('Quiz guardado ilegible, se descarta:', error);
+            this.clearSavedSession();
+            return null;
+        }
+    }
+
+    clearSavedSession() {
+        try {
+            localStorage.removeItem(this.sessionStorageKey);
+        } catch (error) {
+            console.warn('No se pudo borrar el quiz guardado:', error);
+        }
+    }
+
+    /**
+     * Offer "Reanudar quiz" when the loaded file has an unfinished quiz; a changed file invalidates it
+     */
+    checkSavedSession() {
+        const session = this.getSavedSession();
+        
+        if (!session || !session.state || session.filename !== this.currentFilePath) {
+            this.uiController.showResumeOption(null);
+            return;
+        }
+        
+        if (!Array.isArray(session.state.questionKeys)) {
+            console.warn('El quiz guardado usa un formato anterior: se descarta el progreso');
+            this.clearSavedSession();
+            this.uiController.showResumeOption(null);
+            return;
+        }
+        
+        if (session.contentHash !== this.quizContentHash) {
+            console.warn(`El archivo ${this.currentFilePath} cambió desde que se guardó el quiz: se descarta el progreso`);
+            this.clearSavedSession();
+            this.uiController.showResumeOption(null);
+            return;
+        }
+        
+        const { state } = session;
+        this.uiController.showResumeOption({
+            filename: session.filename,
+            questionNumber: state.currentIndex + 1,
+            totalQuestions: state.questionKeys.length,
+            answeredCount: state.userAnswers.filter(answer => answer !== null).length,
+            mode: state.settings?.mode,
+            savedAt: session.savedAt
+        });
+    }
+
+    /**
+     * Handle "Reanudar quiz": rebuild the engine from the saved state
+     */
+    handleResumeQuiz() {
+        try {
+            const session = this.getSavedSession();
+            if (!session || session.filename !== this.currentFilePath || session.contentHash !== this.quizContentHash) {
+                throw new Error('No hay un quiz guardado para este archivo');
+            }
+            
+            this.quizEngine = QuizEngine.fromState(this.questions, session.state);
+            console.log(`Quiz reanudado: pregunta ${this.quizEngine.progress.current} de ${this.quizEngine.progress.total}`);
+            
+            this.uiController.showResumeOption(null);
+            this.uiController.setQuizMode(this.quizEngine.settings.mode);
+            this.displayCurrentQuestion();
+            this.startTimer();
+            
+        } catch (error) {
+            console.error('Error al reanudar el quiz:', error);
+            this.clearSavedSession();
+            this.uiController.showResumeOption(null);
+            this.uiController.showError(`No se pudo reanudar el quiz: ${error.message}`);
+        }
+    }
+
+    handleDiscardSavedQuiz() {
+        this.clearSavedSession();
+        this.uiController.showResumeOption(null);
+        console.log('Quiz guardado descartado');
+    }
+
+    /**
+     * Spaced-repetition progress of the loaded file
+     */
+    loadStudyProgress() {
+        let records = {};
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.studyStorageKey) || '{}');
+            records = saved[this.currentFilePath] || {};
+        } catch (error) {
+            console.warn('Progreso de estudio ilegible, se empieza de cero:', error);
+        }
+        
+        this.studyScheduler = new StudyScheduler(records);
+        this.updateStudySummary();
+    }
+
+    updateStudySummary(tags = this.uiController.getSelectedTags()) {
+        const pool = QuizEngine.filterQuestionsByTags(this.questions || [], tags);
+        this.uiController.setStudySummary(this.studyScheduler.getSummary(pool));
+    }
+
+    saveStudyProgress() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.studyStorageKey) || '{}');
+            saved[this.currentFilePath] = this.studyScheduler.toJSON();
+            localStorage.setItem(this.studyStorageKey, JSON.stringify(saved));
+        } catch (error) {
+            console.warn('No se pudo guardar el progreso de estudio:', error);
+        }
+    }
+
+    recordStudyResults(results) {
+        results.details.forEach(detail => {
+            // The engine's own question (the detail shows shuffled options)
+            const question = this.quizEngine.selectedQuestions[detail.questionNumber - 1];
+            this.studyScheduler.recordReview(question, detail.isCorrect);
+        });
+        
+        this.saveStudyProgress();
+        this.updateStudySummary();
+        console.log(`Progreso de estudio actualizado: ${results.details.length} preguntas repasadas`);
+    }
+
+    /**
+     * Answer history of the loaded file; it estimates the difficulty of questions that don't declare one
+     */
+    loadQuestionHistory() {
+        let records = {};
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.historyStorageKey) || '{}');
+            records = saved[this.currentFilePath] || {};
+        } catch (error) {
+            console.warn('Historial de respuestas ilegible, se empieza de cero:', error);
+        }
+        
+        this.questionHistory = new QuestionHistory(records);
+        this.applyQuestionHistory();
+    }
+
+    // The engine reads the estimated difficulty, error rate and last answer/view of each question from the question
+    applyQuestionHistory() {
+        (this.questions || []).forEach(question => {
+            const estimate = this.questionHistory.estimateDifficulty(question);
+            if (estimate === null) {
+                delete question.estimatedDifficulty;
+            } else {
+                question.estimatedDifficulty = estimate;
+            }
+            
+            // Outcomes for "focus on weak spots"
+            const errorRate = this.questionHistory.getErrorRate(question);
+            const lastAnswered = this.questionHistory.getLastAnswered(question);
+            if (errorRate === null) {
+                delete question.errorRate;
+                delete question.lastAnswered;
+            } else {
+                question.errorRate = errorRate;
+                question.lastAnswered = lastAnswered;
+            }
+            
+            const lastSeen = this.questionHistory.getLastSeen(question);
+            if (lastSeen === null) {
+                delete question.lastSeen;
+            } else {
+                question.lastSeen = lastSeen;
+            }
+        });
+        this.updateSeenCoverage();
+    }
+
+    updateSeenCoverage(tags = this.uiController.getSelectedTags()) {
+        const pool = QuizEngine.filterQuestionsByTags(this.questions || [], tags);
+        this.uiController.setSeenCoverage(this.questionHistory.getCoverage(pool));
+    }
+
+    // Mark the question on screen as seen, so later quizzes draw unseen ones first
+    markQuestionSeen() {
+        const question = this.quizEngine.selectedQuestions[this.quizEngine.currentIndex];
+        question.lastSeen = this.questionHistory.recordSeen(question).lastSeen;
+        this.saveQuestionHistory();
+        this.updateSeenCoverage();
+    }
+
+    /**
+     * Handle "Reiniciar historial": every question counts as unseen again
+     */
+    handleResetSeenHistory() {
+        this.questionHistory.resetSeen();
+        this.saveQuestionHistory();
+        this.applyQuestionHistory();
+        console.log(`Historial de preguntas vistas reiniciado para ${this.currentFilePath}`);
+    }
+
+    saveQuestionHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.historyStorageKey) || '{}');
+            saved[this.currentFilePath] = this.questionHistory.toJSON();
+            localStorage.setItem(this.historyStorageKey, JSON.stringify(saved));
+        } catch (error) {
+            console.warn('No se pudo guardar el historial de respuestas:', error);
+        }
+    }
+
+    recordAnswerHistory(results) {
+        results.details.forEach(detail => {
+            // Unanswered questions say nothing about their difficulty
+            if (!detail.userAnswer) return;
+            const question = this.quizEngine.selectedQuestions[detail.questionNumber - 1];
+            this.questionHistory.recordAnswer(question, detail.isCorrect);
+        });
+        
+        this.saveQuestionHistory();
+        this.applyQuestionHistory();
+    }
+
+    // Huella FNV-1a del contenido del archivo (más su longitud)
+    hashContent(content) {
+        return `${QuizEngine.hashString(content).toString(16)}-${content.length}`;
+    }
+
     /**
      * Display current question using UI controller
      */
@@ -476,6 +1052,11 @@ class QuizApp {
             
             // Display question through UI controller
             this.uiController.displayQuestion(questionData);
+            if (this.quizEngine.settings.mode === 'exam') {
+                this.uiController.updateExamOverview(this.quizEngine.getQuestionOverview());
+            }
+            this.markQuestionSeen();
+            this.saveSession();
             
             // Log progress
             const progress = this.quizEngine.progress;
@@ -499,6 +1080,17 @@ class QuizApp {
             // Get results from quiz engine
             const results = this.quizEngine.getResults();
             
+            // A finished quiz can no longer be resumed
+            this.clearSavedSession();
+            
+            // Study mode schedules the next reviews from the first round (retries don't count)
+            if (results.mode === 'study' && results.round === 1) {
+                this.recordStudyResults(results);
+            }
+            if (results.round === 1) {
+                this.recordAnswerHistory(results);
+            }
+            
             // Display results through UI controller
             this.uiController.displayResults(results);
             
@@ -520,6 +1112,7 @@ class QuizApp {
             isInitialized: this.isInitialized,
             currentFilePath: this.currentFilePath,
             questionsLoaded: this.questions.length,
+            quizMetadata: this.quizMetadata,
             quizActive: !!this.quizEngine,
             currentScreen: this.uiController.currentScreen
         };
@@ -582,7 +1175,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         `;
         errorDiv.innerHTML = `
             <h3>Error al cargar la aplicación</h3>
-            <p>${error.message}</p>
+            <p class="error-detail"></p>
             <button onclick="location.reload()" style="
                 background: white;
                 color: #e74c3c;
@@ -593,6 +1186,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 margin-top: 10px;
             ">Recargar página</button>
         `;
+        errorDiv.querySelector('.error-detail').textContent = error.message;
         document.body.appendChild(errorDiv);
     }
 });
@@ -17,7 +17,9 @@ class FileHandler {
                 /##\s+(Pregunta|Question)\s+\d+/i, // Question headers
                 /<as-button[^>]*message="[^"]*"[^>]*>/i, // Answer buttons
                 /^\s*\*?\*?[A-D]\*?\*?\.\s+.+$/m // Answer options
-            ]
+            ],
+            mediaReferencePattern: /!\[[^\]]*\]\(\s*([^)\s]+)(?:\s+"[^"]*")?\s*\)/g,
+            maxMediaChecks: 50
         };
     }
 
@@ -199,6 +201,9 @@ class FileHandler {
             // Content quality validation
             this.validateContentQuality(content);
             
+            // Media references (warnings only)
+            await this.validateMediaReferences(content, filePath);
+            
             this.log('info', 'Validación de contenido completada exitosamente', {
                 ...validationContext,
                 warnings: this.validationWarnings.length
@@ -338,8 +343,9 @@ class FileHandler {
             }
         }
         
-        // Check for malformed HTML tags
-        const htmlTags = content.match(/<[^>]+>/g);
+        // Check for malformed HTML tags (code blocks may legitimately contain < and >)
+        const contentWithoutCode = content.replace(/^\s*(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\s*\1\s*$/gm, '');
+        const htmlTags = contentWithoutCode.match(/<[^>]+>/g);
         if (htmlTags) {
             for (const tag of htmlTags) {
                 if (!tag.includes('as-button') && !tag.match(/^<\/?\w+[^>]*>$/)) {
@@ -358,6 +364,65 @@ class FileHandler {
         }
     }
 
+    /**
+     * Check that media references (![alt](path)) resolve, relative to the quiz file.
+     * Missing resources only produce warnings; they never block loading.
+     * @param {string} content - File content
+     * @param {string} filePath - Path of the quiz file the references are relative to
+     */
+    async validateMediaReferences(content, filePath) {
+        const references = new Set();
+        const contentWithoutCode = content.replace(/^\s*(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\s*\1\s*$/gm, '');
+        const pattern = new RegExp(this.validationRules.mediaReferencePattern.source, 'g');
+        let match;
+        
+        while ((match = pattern.exec(contentWithoutCode)) !== null) {
+            // External URLs are not checked (CORS may block the request)
+            if (!/^[a-z][a-z0-9+.-]*:/i.test(match[1])) {
+                references.add(match[1]);
+            }
+        }
+        
+        if (references.size === 0 || typeof fetch !== 'function') {
+            return;
+        }
+        
+        const toCheck = [...references].slice(0, this.validationRules.maxMediaChecks);
+        this.log('debug', `Verificando ${toCheck.length} referencias multimedia`, { filePath });
+        
+        const results = await Promise.all(toCheck.map(async reference => {
+            const resolvedPath = this.resolveRelativePath(reference, filePath);
+            try {
+                const response = await fetch(resolvedPath, { method: 'HEAD' });
+                return { reference, resolvedPath, found: response.ok };
+            } catch (error) {
+                return { reference, resolvedPath, found: false };
+            }
+        }));
+        
+        for (const result of results) {
+            if (!result.found) {
+                this.addValidationWarning(`Recurso multimedia no encontrado: ${result.reference} (ruta resuelta: ${result.resolvedPath})`);
+            }
+        }
+    }
+
+    /**
+     * Resolve a reference relative to the folder of a file
+     * @param {string} reference - Relative or root path (e.g. "img/diagram.png")
+     * @param {string} filePath - File the reference is relative to (e.g. "quizzes/net.md")
+     * @returns {string} - Resolved path
+     */
+    resolveRelativePath(reference, filePath) {
+        if (reference.startsWith('/')) {
+            return reference;
+        }
+        
+        const lastSlash = (filePath || '').lastIndexOf('/');
+        const baseDir = lastSlash === -1 ? '' : filePath.substring(0, lastSlash + 1);
+        return baseDir + reference.replace(/^\.\//, '');
+    }
+
     /**
      * Check if a file path appears to be valid
      * @param {string} filePath - Path to check
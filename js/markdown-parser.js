@@ -14,9 +14,116 @@ class MarkdownParser {
         // Regex adicional para manejar atributo inquire (respuestas múltiples)
         this.inquireAnswerRegex = /<as-button[^>]*inquire="([^"]+)"[^>]*>/;
         
+        // Valores de message="..." que definen una pregunta de verdadero/falso (o sí/no)
+        this.trueFalseValues = {
+            true: { truefalse: ['true', 'verdadero', 'cierto'], yesno: ['yes', 'si', 'sí'] },
+            false: { truefalse: ['false', 'falso'], yesno: ['no'] }
+        };
+        
+        // Regex para leer los atributos del botón de respuesta (type, message, pattern...)
+        this.answerButtonRegex = /<as-button\b([^>]*?)\/?>/;
+        this.attributeRegex = /([\w-]+)(?:\s*=\s*"([^"]*)")?/g;
+        
+        // Valores de type="..." para preguntas de respuesta escrita y numérica
+        this.textTypeValues = ['text', 'texto', 'input'];
+        this.numericTypeValues = ['number', 'numeric', 'numero', 'número'];
+        this.orderingTypeValues = ['order', 'ordering', 'sequence', 'orden', 'ordenar', 'secuencia'];
+        this.matchingTypeValues = ['match', 'matching', 'pairs', 'emparejar', 'relacionar', 'parejas'];
+        this.clozeTypeValues = ['cloze', 'blanks', 'huecos', 'completar'];
+        
+        // Regex para huecos en el enunciado: {{Paris|París}} (texto) o {{*Paris|London|Madrid}} (lista)
+        this.clozeBlankRegex = /\{\{([^{}\n]+)\}\}/g;
+        
+        // Regex para preguntas de emparejar: filas de tabla, destinos numerados y parejas "A1 B3"
+        this.tableRowRegex = /^\s*\|(.+)\|\s*$/;
+        this.tableSeparatorRegex = /^\s*\|?(?:\s*:?-{3,}:?\s*\|)+(?:\s*:?-{3,}:?\s*)?\|?\s*$/;
+        this.matchTargetRegex = /^\s*(\d+)[.)]\s+(.+)$/;
+        this.matchPairRegex = /([A-Z])\s*(?:-|:|=|→|->)?\s*(\d+)/g;
+        
+        // Regex para respuestas numéricas: "42 ± 0.5", "3.1e8 m/s", "9,81 +/- 1% m/s²"
+        this.numericAnswerRegex = /^([+-]?\d[\d.,]*(?:[eE][+-]?\d+)?)\s*(?:(?:±|\+\/-|\+-)\s*(\d[\d.,]*(?:[eE][+-]?\d+)?)\s*(%)?)?\s*(.*)$/;
+        this.toleranceRegex = /^(\d[\d.,]*(?:[eE][+-]?\d+)?)\s*(%)?$/;
+        
+        // Textos de los dos botones según estilo e idioma del quiz
+        this.trueFalseLabels = {
+            es: { truefalse: { true: 'Verdadero', false: 'Falso' }, yesno: { true: 'Sí', false: 'No' } },
+            en: { truefalse: { true: 'True', false: 'False' }, yesno: { true: 'Yes', false: 'No' } }
+        };
+        
+        // Regex para detectar delimitadores de bloques de código (``` o ~~~ con lenguaje opcional)
+        this.codeFenceRegex = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+        
+        // Marcador para proteger líneas de código que el regex de bloques confundiría con títulos
+        this.codeLineMarker = '\uE000';
+        
+        // Regex para referencias multimedia: ![texto alternativo](ruta "título")
+        this.mediaRegex = /!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)/g;
+        
+        // Extensiones para distinguir audio y video de imágenes
+        this.audioExtensions = ['mp3', 'wav', 'ogg', 'oga', 'm4a', 'aac', 'flac'];
+        this.videoExtensions = ['mp4', 'webm', 'ogv', 'mov', 'm4v'];
+        
+        // Ruta del archivo que se está procesando (para resolver rutas relativas)
+        this.sourcePath = '';
+        
+        // Regex para el bloque YAML opcional al inicio del archivo (front matter)
+        this.frontMatterRegex = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+        
+        // Valores aceptados para scoring: en el front matter (política de puntuación)
+        this.scoringPolicyValues = {
+            'all-or-nothing': ['all-or-nothing', 'strict', 'todo-o-nada'],
+            'proportional': ['proportional', 'partial', 'proporcional', 'parcial'],
+            'right-minus-wrong': ['right-minus-wrong', 'negative', 'aciertos-menos-errores']
+        };
+        
+        // Valores aceptados para mode: en el front matter
+        this.quizModeValues = {
+            'standard': ['standard', 'normal'],
+            'exam': ['exam', 'examen'],
+            'practice': ['practice', 'practica', 'práctica'],
+            'study': ['study', 'estudio', 'spaced-repetition', 'repaso'],
+            'adaptive': ['adaptive', 'adaptativo', 'adaptive-difficulty']
+        };
+        
+        // Niveles para weak_spot_focus (cuánto pesan los fallos y las preguntas sin repasar al elegir)
+        this.weakSpotFocusValues = {
+            0: ['off', 'none', 'desactivado', 'ninguno'],
+            0.5: ['low', 'gentle', 'suave', 'bajo'],
+            1: ['medium', 'normal', 'medio'],
+            2: ['high', 'strong', 'fuerte', 'alto']
+        };
+        
+        // Niveles con nombre para "Difficulty:" (también se acepta un número del 1 al 5)
+        this.difficultyValues = {
+            1: ['very-easy', 'muy-fácil', 'muy-facil'],
+            2: ['easy', 'fácil', 'facil'],
+            3: ['medium', 'normal', 'media', 'medio'],
+            4: ['hard', 'difícil', 'dificil'],
+            5: ['very-hard', 'muy-difícil', 'muy-dificil']
+        };
+        
+        // Metadatos del quiz definidos en el front matter
+        this.metadata = {};
+        
+        // Regex para etiquetas de la pregunta: "Tags: redes, dns" / "Etiquetas: redes, dns"
+        this.tagsLineRegex = /^\s*(?:\*\*)?(?:Tags|Etiquetas)(?:\*\*)?\s*:(?:\*\*)?\s*(.*)$/i;
+        
+        // Regex para el peso de la pregunta: "Points: 3" / "Puntos: 2,5"
+        this.pointsLineRegex = /^\s*(?:\*\*)?(?:Points|Puntos)(?:\*\*)?\s*:(?:\*\*)?\s*(.*)$/i;
+        
+        // Regex para la dificultad de la pregunta: "Difficulty: 4" / "Dificultad: fácil"
+        this.difficultyLineRegex = /^\s*(?:\*\*)?(?:Difficulty|Dificultad)(?:\*\*)?\s*:(?:\*\*)?\s*(.*)$/i;
+        
+        // Regex para títulos de sección (### Categoría) que agrupan preguntas
+        this.sectionHeadingRegex = /^(#{1,6})\s+(.+?)\s*#*\s*$/gm;
+        
         // Regex para extraer el número de pregunta
         this.questionNumberRegex = /## (Pregunta|Question) (\d+)/;
         
+        // Regex para extraer la explicación: bloque <details> o cita "> Explicación:" tras el botón
+        this.explanationDetailsRegex = /<details[^>]*>([\s\S]*?)<\/details>/i;
+        this.explanationQuoteRegex = /^>\s*(?:\*\*)?(?:Explicación|Explicacion|Explanation)(?:\*\*)?\s*:?(?:\*\*)?\s*/i;
+        
         // Logging and validation configuration
         this.enableDetailedLogging = true;
         this.validationErrors = [];
@@ -31,13 +138,15 @@ class MarkdownParser {
             minOptions: 2,
             maxOptions: 8,
             requiredOptionLetters: ['A', 'B'], // Minimum required options
-            maxOptionTextLength: 500
+            maxOptionTextLength: 500,
+            maxExplanationLength: 2000
         };
     }
 
-    parseQuestions(markdownContent) {
+    parseQuestions(markdownContent, options = {}) {
         // Reset parsing state
         this.resetParsingState();
+        this.sourcePath = options.sourcePath || '';
         
         const questions = [];
         let match;
@@ -51,17 +160,32 @@ class MarkdownParser {
             throw new Error('El contenido del archivo Markdown no es válido para el parsing');
         }
         
+        // Extraer metadatos del front matter antes de buscar preguntas
+        const { metadata, body } = this.extractFrontMatter(markdownContent);
+        this.metadata = metadata;
+        
+        // Proteger líneas dentro de bloques de código (# comentario, ---) para no cortar la pregunta
+        const protectedContent = this.protectCodeFences(body);
+        
         // Resetear el índice del regex para múltiples ejecuciones
         this.questionBlockRegex.lastIndex = 0;
         
-        while ((match = this.questionBlockRegex.exec(markdownContent)) !== null) {
+        // Categoría activa según el último título ### encontrado
+        let currentCategory = null;
+        let previousBlockEnd = 0;
+        
+        while ((match = this.questionBlockRegex.exec(protectedContent)) !== null) {
             questionIndex++;
-            const fullBlock = match[0];
+            const fullBlock = this.restoreCodeFences(match[0]);
+            
+            currentCategory = this.findSectionCategory(
+                protectedContent.slice(previousBlockEnd, match.index), currentCategory);
+            previousBlockEnd = match.index + match[0].length;
             
             this.log('debug', `Procesando bloque de pregunta ${questionIndex}`);
             
             try {
-                const questionData = this.extractQuestion(fullBlock, questionIndex);
+                const questionData = this.extractQuestion(fullBlock, questionIndex, { category: currentCategory });
                 
                 if (questionData && this.validateQuestion(questionData, questionIndex)) {
                     questions.push(questionData);
@@ -96,7 +220,510 @@ class MarkdownParser {
         return questions;
     }
 
-    extractQuestion(questionBlock, questionIndex = 0) {
+    extractFrontMatter(markdownContent) {
+        const match = this.frontMatterRegex.exec(markdownContent);
+        if (!match) {
+            return { metadata: {}, body: markdownContent };
+        }
+        
+        const body = markdownContent.slice(match[0].length);
+        
+        try {
+            const raw = this.parseYaml(match[1]);
+            const metadata = this.normalizeMetadata(raw);
+            this.log('info', 'Front matter encontrado', metadata);
+            return { metadata, body };
+        } catch (error) {
+            this.log('warn', `Front matter inválido, se ignora: ${error.message}`);
+            return { metadata: {}, body };
+        }
+    }
+
+    // Subconjunto de YAML: claves/valores, listas ([a, b] o "- item") y mapas anidados por indentación
+    parseYaml(text) {
+        const lines = text.split(/\r?\n/)
+            .map(line => this.stripYamlComment(line))
+            .filter(line => line.trim().length > 0);
+        
+        const [value] = this.parseYamlBlock(lines, 0, 0);
+        return value || {};
+    }
+
+    // Quita un comentario "# ..." (al principio de la línea o tras un espacio) que no esté entre comillas
+    stripYamlComment(line) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quote) {
+                if (char === '\\' && quote === '"') i++;
+                else if (char === quote) quote = null;
+            } else if ((char === '"' || char === "'") && this.opensYamlQuote(line, i)) {
+                quote = char;
+            } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+                return line.slice(0, i);
+            }
+        }
+        return line;
+    }
+
+    // Una comilla solo abre un valor entrecomillado al principio de este (no el apóstrofo de "It's")
+    opensYamlQuote(text, index) {
+        return index === 0 || /[\s[,:]/.test(text[index - 1]);
+    }
+
+    // Separa los elementos de una lista en línea por las comas que no estén entre comillas
+    splitYamlList(text) {
+        const items = [];
+        let quote = null;
+        let current = '';
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === '\\' && quote === '"') {
+                    current += char + (text[++i] ?? '');
+                    continue;
+                }
+                if (char === quote) quote = null;
+            } else if ((char === '"' || char === "'") && this.opensYamlQuote(text, i)) {
+                quote = char;
+            } else if (char === ',') {
+                items.push(current);
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+        items.push(current);
+        return items;
+    }
+
+    parseYamlBlock(lines, start, indent) {
+        // Un bloque es una lista si su primera línea empieza con "- "
+        const isList = /^\s*-\s/.test(lines[start] || '') || /^\s*-$/.test(lines[start] || '');
+        const result = isList ? [] : {};
+        let i = start;
+        
+        while (i < lines.length) {
+            const line = lines[i];
+            const lineIndent = line.search(/\S/);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) {
+                throw new Error(`Indentación inesperada en "${line.trim()}"`);
+            }
+            
+            const trimmed = line.trim();
+            
+            if (isList) {
+                if (!trimmed.startsWith('-')) break;
+                result.push(this.parseYamlScalar(trimmed.replace(/^-\s*/, '')));
+                i++;
+                continue;
+            }
+            
+            const keyMatch = trimmed.match(/^([\w.-]+|"[^"]+"|'[^']+')\s*:\s*(.*)$/);
+            if (!keyMatch) {
+                throw new Error(`Línea no reconocida "${trimmed}"`);
+            }
+            
+            const key = keyMatch[1].replace(/^["']|["']$/g, '');
+            const rawValue = keyMatch[2];
+            i++;
+            
+            if (rawValue.length === 0) {
+                // Valor anidado en las líneas siguientes (más indentadas)
+                const nextIndent = i < lines.length ? lines[i].search(/\S/) : -1;
+                if (nextIndent > indent) {
+                    const [nested, nextIndex] = this.parseYamlBlock(lines, i, nextIndent);
+                    result[key] = nested;
+                    i = nextIndex;
+                } else {
+                    result[key] = null;
+                }
+            } else {
+                result[key] = this.parseYamlScalar(rawValue);
+            }
+        }
+        
+        return [result, i];
+    }
+
+    parseYamlScalar(rawValue) {
+        const value = rawValue.trim();
+        
+        if (/^\[.*\]$/.test(value)) {
+            const inner = value.slice(1, -1).trim();
+            return inner.length === 0 ? [] : this.splitYamlList(inner).map(item => this.parseYamlScalar(item));
+        }
+        if (/^".*"$/.test(value)) {
+            return value.slice(1, -1).replace(/\\"/g, '"').replace(/\\n/g, '\n');
+        }
+        if (/^'.*'$/.test(value)) {
+            return value.slice(1, -1).replace(/''/g, "'");
+        }
+        if (/^(true|yes|on)$/i.test(value)) return true;
+        if (/^(false|no|off)$/i.test(value)) return false;
+        if (/^(null|~)$/i.test(value)) return null;
+        if (/^[-+]?\d+(\.\d+)?$/.test(value)) return Number(value);
+        
+        return value;
+    }
+
+    normalizeMetadata(raw) {
+        const metadata = {};
+        
+        // Aceptar snake_case, kebab-case y camelCase (question_count, question-count, questionCount)
+        for (const [key, value] of Object.entries(raw)) {
+            const camelKey = key.replace(/[-_]+(\w)/g, (_, char) => char.toUpperCase());
+            metadata[camelKey] = value;
+        }
+        
+        // Alias habituales
+        if (metadata.questions !== undefined && metadata.questionCount === undefined) {
+            metadata.questionCount = metadata.questions;
+            delete metadata.questions;
+        }
+        if (metadata.lang !== undefined && metadata.language === undefined) {
+            metadata.language = metadata.lang;
+            delete metadata.lang;
+        }
+        if (metadata.scoring !== undefined && metadata.scoringPolicy === undefined) {
+            metadata.scoringPolicy = metadata.scoring;
+            delete metadata.scoring;
+        }
+        if (metadata.weakSpots !== undefined && metadata.weakSpotFocus === undefined) {
+            metadata.weakSpotFocus = metadata.weakSpots;
+            delete metadata.weakSpots;
+        }
+        if (metadata.penalty !== undefined && metadata.wrongAnswerPenalty === undefined) {
+            metadata.wrongAnswerPenalty = metadata.penalty;
+            delete metadata.penalty;
+        }
+        
+        for (const key of ['title', 'description', 'author', 'language', 'seed']) {
+            if (metadata[key] !== undefined && metadata[key] !== null) {
+                metadata[key] = String(metadata[key]);
+            }
+        }
+        
+        if (metadata.questionCount !== undefined) {
+            const count = parseInt(metadata.questionCount, 10);
+            if (Number.isInteger(count) && count >= 1) {
+                metadata.questionCount = count;
+            } else {
+                this.log('warn', `question_count inválido en front matter: ${metadata.questionCount}`);
+                delete metadata.questionCount;
+            }
+        }
+        
+        if (metadata.passingScore !== undefined) {
+            const score = parseFloat(String(metadata.passingScore).replace('%', ''));
+            if (!isNaN(score) && score >= 0 && score <= 100) {
+                metadata.passingScore = score;
+            } else {
+                this.log('warn', `passing_score inválido en front matter: ${metadata.passingScore}`);
+                delete metadata.passingScore;
+            }
+        }
+        
+        // Límites de tiempo (total y por pregunta) y aviso antes de que se agoten
+        for (const [key, name] of [['timeLimit', 'time_limit'], ['questionTimeLimit', 'question_time_limit'], ['timeWarning', 'time_warning']]) {
+            if (metadata[key] === undefined) continue;
+            
+            const seconds = this.parseDuration(metadata[key]);
+            if (seconds !== null) {
+                metadata[key] = seconds;
+            } else {
+                this.log('warn', `${name} inválido en front matter: ${metadata[key]}`);
+                delete metadata[key];
+            }
+        }
+        
+        // Comparación de respuestas escritas y crédito parcial
+        for (const key of ['caseSensitive', 'ignoreAccents', 'normalizeWhitespace', 'partialCredit', 'penalizeSkipped', 'shuffleOptions']) {
+            if (metadata[key] !== undefined && typeof metadata[key] !== 'boolean') {
+                this.log('warn', `${key} inválido en front matter (se esperaba true/false): ${metadata[key]}`);
+                delete metadata[key];
+            }
+        }
+        
+        if (metadata.wrongAnswerPenalty !== undefined) {
+            const penalty = this.parsePenalty(metadata.wrongAnswerPenalty);
+            if (penalty !== null) {
+                metadata.wrongAnswerPenalty = penalty;
+            } else {
+                this.log('warn', `wrong_answer_penalty inválido en front matter: ${metadata.wrongAnswerPenalty}`);
+                delete metadata.wrongAnswerPenalty;
+            }
+        }
+        
+        if (metadata.mode !== undefined) {
+            const mode = this.getAliasedValue(this.quizModeValues, metadata.mode);
+            if (mode) {
+                metadata.mode = mode;
+            } else {
+                this.log('warn', `mode inválido en front matter: ${metadata.mode}`);
+                delete metadata.mode;
+            }
+        }
+        
+        if (metadata.scoringPolicy !== undefined) {
+            const policy = this.getAliasedValue(this.scoringPolicyValues, metadata.scoringPolicy);
+            if (policy) {
+                metadata.scoringPolicy = policy;
+            } else {
+                this.log('warn', `scoring inválido en front matter: ${metadata.scoringPolicy}`);
+                delete metadata.scoringPolicy;
+            }
+        }
+        
+        // Enfoque en puntos débiles: true/false, un nivel (low, medium, high) o un número entre 0 y 5
+        if (metadata.weakSpotFocus !== undefined) {
+            const value = metadata.weakSpotFocus;
+            const named = typeof value === 'string' ? this.getAliasedValue(this.weakSpotFocusValues, value) : null;
+            let focus = null;
+            if (typeof value === 'boolean') {
+                focus = value ? 1 : 0;
+            } else if (named !== null) {
+                focus = Number(named);
+            } else if (typeof value === 'number') {
+                focus = value;
+            }
+            
+            if (focus !== null && focus >= 0 && focus <= 5) {
+                metadata.weakSpotFocus = focus;
+            } else {
+                this.log('warn', `weak_spot_focus inválido en front matter: ${value}`);
+                delete metadata.weakSpotFocus;
+            }
+        }
+        
+        // Reparto de preguntas por categoría/etiqueta/dificultad (mapa anidado, lista o "redes: 5, seguridad: 30%")
+        if (metadata.blueprint !== undefined) {
+            const blueprint = this.parseBlueprint(metadata.blueprint);
+            if (blueprint) {
+                metadata.blueprint = blueprint;
+            } else {
+                this.log('warn', `blueprint inválido en front matter: ${JSON.stringify(metadata.blueprint)}`);
+                delete metadata.blueprint;
+            }
+        }
+        
+        if (metadata.typoTolerance !== undefined) {
+            const tolerance = parseInt(metadata.typoTolerance, 10);
+            if (Number.isInteger(tolerance) && tolerance >= 0) {
+                metadata.typoTolerance = tolerance;
+            } else {
+                this.log('warn', `typo_tolerance inválido en front matter: ${metadata.typoTolerance}`);
+                delete metadata.typoTolerance;
+            }
+        }
+        
+        return metadata;
+    }
+
+    // Fracción de los puntos de la pregunta que resta un error: 0.25, "25%" o "1/3" (entre 0 y 1)
+    parsePenalty(value) {
+        const text = String(value).trim();
+        const fraction = text.match(/^(\d+)\s*\/\s*(\d+)$/);
+        let penalty;
+        
+        if (fraction) {
+            penalty = Number(fraction[2]) > 0 ? Number(fraction[1]) / Number(fraction[2]) : null;
+        } else if (text.endsWith('%')) {
+            const percent = this.parseLocaleNumber(text.slice(0, -1));
+            penalty = percent === null ? null : percent / 100;
+        } else {
+            penalty = this.parseLocaleNumber(text);
+        }
+        
+        return penalty !== null && penalty >= 0 && penalty <= 1 ? penalty : null;
+    }
+
+    /**
+     * Reparto de preguntas: cada grupo es una etiqueta o categoría ("redes") o una dificultad
+     * ("difficulty-4", "dificultad fácil") con un número de preguntas o un porcentaje del quiz
+     * @param {Object|Array|string} value - Mapa, lista de "grupo: n" o texto "redes: 5, seguridad: 30%"
+     * @returns {Array|null} - Grupos {label, tag|difficulty, count|percent}, o null si alguno no es válido
+     */
+    parseBlueprint(value) {
+        let entries;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            entries = Object.entries(value);
+        } else {
+            const items = Array.isArray(value) ? value : String(value ?? '').split(/[,;\n]/);
+            entries = items
+                .map(item => String(item).trim())
+                .filter(Boolean)
+                .map(item => {
+                    const match = item.match(/^(.+?)\s*[:=]?\s*(\d+(?:[.,]\d+)?\s*%?)$/);
+                    return match ? [match[1], match[2]] : [item, null];
+                });
+        }
+        
+        const buckets = [];
+        for (const [rawKey, rawAmount] of entries) {
+            const label = String(rawKey).trim().replace(/^#/, '');
+            const amountText = String(rawAmount ?? '').trim();
+            const bucket = { label };
+            
+            const difficultyMatch = label.match(/^(?:difficulty|dificultad)[\s:=_-]*(.+)$/i);
+            if (difficultyMatch) {
+                const named = this.getAliasedValue(this.difficultyValues, difficultyMatch[1]);
+                bucket.difficulty = named !== null ? Number(named) : Number(difficultyMatch[1]);
+                if (!Number.isInteger(bucket.difficulty) || bucket.difficulty < 1 || bucket.difficulty > 5) {
+                    return null;
+                }
+            } else if (label) {
+                bucket.tag = label;
+            } else {
+                return null;
+            }
+            
+            if (amountText.endsWith('%')) {
+                bucket.percent = this.parseLocaleNumber(amountText.slice(0, -1));
+                if (bucket.percent === null || bucket.percent <= 0 || bucket.percent > 100) {
+                    return null;
+                }
+            } else {
+                bucket.count = Number(amountText);
+                if (!amountText || !Number.isInteger(bucket.count) || bucket.count < 1) {
+                    return null;
+                }
+            }
+            
+            buckets.push(bucket);
+        }
+        
+        return buckets.length > 0 ? buckets : null;
+    }
+
+    // "Right minus wrong", "todo_o_nada"... → nombre canónico del valor (o null)
+    getAliasedValue(values, value) {
+        const normalized = String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+        const entry = Object.entries(values)
+            .find(([, aliases]) => aliases.includes(normalized));
+        return entry ? entry[0] : null;
+    }
+
+    // Convierte una duración a segundos: número (minutos), "90s", "45m", "1h 30m" o "01:30:00"
+    parseDuration(value) {
+        if (typeof value === 'number') {
+            return value > 0 ? Math.round(value * 60) : null;
+        }
+        
+        const text = String(value).trim().toLowerCase();
+        
+        if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+            const parts = text.split(':').map(Number);
+            const seconds = parts.length === 3
+                ? parts[0] * 3600 + parts[1] * 60 + parts[2]
+                : parts[0] * 60 + parts[1];
+            return seconds > 0 ? seconds : null;
+        }
+        
+        const unitRegex = /(\d+(?:\.\d+)?)\s*(hours?|horas?|hr|h|minutes?|minutos?|min|m|seconds?|segundos?|sec|s)/g;
+        let total = 0;
+        let matched = '';
+        let match;
+        
+        while ((match = unitRegex.exec(text)) !== null) {
+            const amount = parseFloat(match[1]);
+            const unit = match[2][0];
+            total += unit === 'h' ? amount * 3600 : unit === 'm' ? amount * 60 : amount;
+            matched += match[0];
+        }
+        
+        if (matched.replace(/\s/g, '') !== text.replace(/\s/g, '') || total <= 0) {
+            return null;
+        }
+        
+        return Math.round(total);
+    }
+
+    findSectionCategory(textBetweenQuestions, currentCategory) {
+        let category = currentCategory;
+        let match;
+        
+        this.sectionHeadingRegex.lastIndex = 0;
+        while ((match = this.sectionHeadingRegex.exec(textBetweenQuestions)) !== null) {
+            if (this.questionNumberRegex.test(match[0])) continue;
+            
+            // ### abre una categoría; un título de nivel superior la cierra
+            if (match[1].length === 3) {
+                category = match[2].trim();
+            } else if (match[1].length < 3) {
+                category = null;
+            }
+        }
+        
+        return category;
+    }
+
+    extractTags(questionBlock, category = null) {
+        const tags = [];
+        const seen = new Set();
+        const addTag = (tag) => {
+            const cleanTag = tag.replace(/^#/, '').trim();
+            if (cleanTag && !seen.has(cleanTag.toLowerCase())) {
+                seen.add(cleanTag.toLowerCase());
+                tags.push(cleanTag);
+            }
+        };
+        
+        // La categoría de la sección cuenta como una etiqueta más
+        if (category) {
+            addTag(category);
+        }
+        
+        const lines = this.stripCodeFences(this.getAnswerSection(questionBlock)).split('\n');
+        for (const line of lines) {
+            const match = line.match(this.tagsLineRegex);
+            if (match) {
+                match[1].split(/[,;]/).forEach(addTag);
+            }
+        }
+        
+        return tags;
+    }
+
+    // Peso de la pregunta ("Points: 3"); null si no se declara o no es válido
+    extractPoints(questionBlock) {
+        const lines = this.stripCodeFences(this.getAnswerSection(questionBlock)).split('\n');
+        for (const line of lines) {
+            const match = line.match(this.pointsLineRegex);
+            if (!match) continue;
+            
+            const points = this.parseLocaleNumber(match[1].replace(/\s*(?:pts?|points?|puntos?)\.?\s*$/i, ''));
+            if (points === null || points <= 0) {
+                this.log('warn', `Puntos inválidos en la pregunta, se usa 1: ${match[1]}`);
+                return null;
+            }
+            return points;
+        }
+        
+        return null;
+    }
+
+    // Dificultad de la pregunta del 1 al 5 ("Difficulty: 4", "Dificultad: fácil"); null si no se declara
+    extractDifficulty(questionBlock) {
+        const lines = this.stripCodeFences(this.getAnswerSection(questionBlock)).split('\n');
+        for (const line of lines) {
+            const match = line.match(this.difficultyLineRegex);
+            if (!match) continue;
+            
+            const named = this.getAliasedValue(this.difficultyValues, match[1]);
+            const difficulty = named !== null ? Number(named) : this.parseLocaleNumber(match[1]);
+            if (difficulty === null || difficulty < 1 || difficulty > 5) {
+                this.log('warn', `Dificultad inválida en la pregunta, se ignora: ${match[1]}`);
+                return null;
+            }
+            return difficulty;
+        }
+        
+        return null;
+    }
+
+    extractQuestion(questionBlock, questionIndex = 0, context = {}) {
         const extractionContext = {
             questionIndex,
             blockLength: questionBlock.length,
@@ -117,39 +744,124 @@ class MarkdownParser {
             this.log('debug', `Número de pregunta extraído: ${questionNumber} (${questionWord})`);
 
             // Extraer el enunciado (texto entre el título y las opciones)
-            const questionContent = this.extractQuestionContent(questionBlock);
+            let questionContent = this.extractQuestionContent(questionBlock);
             if (!questionContent) {
                 throw new Error('No se pudo extraer el contenido de la pregunta');
             }
 
-            // Extraer opciones de respuesta
-            const options = this.extractAnswers(questionBlock);
-            if (!options || Object.keys(options).length === 0) {
-                throw new Error('No se pudieron extraer las opciones de respuesta');
+            // Tipo de pregunta según el botón de respuesta (o los huecos del enunciado)
+            const type = this.detectQuestionType(questionBlock, questionContent);
+            let options;
+            let correctAnswers;
+
+            let textAnswer = null;
+            let numericAnswer = null;
+            let partialCredit;
+            let matching = null;
+            let cloze = null;
+
+            if (type === 'truefalse') {
+                // Verdadero/falso: sin opciones con letra, dos botones fijos
+                const trueFalse = this.extractTrueFalseAnswer(questionBlock);
+                options = { ...this.getTrueFalseLabels(trueFalse.style, questionWord) };
+                correctAnswers = [trueFalse.answer];
+            } else if (type === 'text') {
+                // Respuesta escrita: textos aceptados y/o expresión regular
+                textAnswer = this.extractTextAnswer(questionBlock);
+                options = {};
+                correctAnswers = textAnswer.accepted;
+            } else if (type === 'ordering') {
+                // Ordenar: las opciones con letra son los elementos, message el orden correcto
+                options = this.extractAnswers(questionBlock);
+                if (Object.keys(options).length === 0) {
+                    throw new Error('No se pudieron extraer los elementos a ordenar');
+                }
+                correctAnswers = this.extractOrderingAnswer(questionBlock, options);
+                partialCredit = this.getPartialCreditAttribute(questionBlock);
+            } else if (type === 'matching') {
+                // Emparejar: tabla de dos columnas o letras + destinos numerados
+                matching = this.extractMatchingPairs(questionBlock);
+                options = matching.options;
+                correctAnswers = matching.pairs;
+                partialCredit = this.getPartialCreditAttribute(questionBlock);
+            } else if (type === 'cloze') {
+                // Huecos: el enunciado queda con marcadores numerados {{1}}, {{2}}...
+                cloze = this.extractClozeBlanks(questionContent);
+                questionContent = cloze.content;
+                options = {};
+                correctAnswers = cloze.blanks.map(blank => blank.accepted[0]);
+                partialCredit = this.getPartialCreditAttribute(questionBlock);
+            } else if (type === 'numeric') {
+                // Respuesta numérica: valor esperado, tolerancia y unidad
+                numericAnswer = this.extractNumericAnswer(questionBlock);
+                options = {};
+                correctAnswers = [numericAnswer.text];
+            } else {
+                // Extraer opciones de respuesta
+                options = this.extractAnswers(questionBlock);
+                if (!options || Object.keys(options).length === 0) {
+                    throw new Error('No se pudieron extraer las opciones de respuesta');
+                }
+
+                // Extraer respuestas correctas
+                correctAnswers = this.extractCorrectAnswer(questionBlock);
+                if (!correctAnswers || correctAnswers.length === 0) {
+                    throw new Error('No se pudieron extraer las respuestas correctas');
+                }
             }
 
-            // Extraer respuestas correctas
-            const correctAnswers = this.extractCorrectAnswer(questionBlock);
-            if (!correctAnswers || correctAnswers.length === 0) {
-                throw new Error('No se pudieron extraer las respuestas correctas');
+            // La tabla de emparejar no forma parte del enunciado
+            if (matching?.tableText) {
+                questionContent = questionContent.replace(matching.tableText, '').trim();
             }
 
+            // Extraer explicación opcional (después del botón de respuesta)
+            const explanation = this.extractExplanation(questionBlock);
+
+            // Extraer categoría y etiquetas
+            const category = context.category || null;
+            const tags = this.extractTags(questionBlock, category);
+            
+            // Peso opcional de la pregunta (1 punto si no se indica)
+            const points = this.extractPoints(questionBlock);
+            
+            // Dificultad opcional (modo adaptativo); sin ella se estima con el historial de respuestas
+            const difficulty = this.extractDifficulty(questionBlock);
+
+            // Extraer referencias multimedia (imágenes, audio, video)
+            const media = this.extractMedia([questionContent, ...(type === 'choice' ? Object.values(options) : []), explanation || ''].join('\n'));
+
             const questionData = {
                 id: questionNumber.padStart(3, '0'),
                 title: `${questionWord} ${questionNumber}`,
+                type: type,
                 content: questionContent,
                 options: options,
                 correctAnswers: correctAnswers,
+                explanation: explanation,
+                media: media,
+                category: category,
+                tags: tags,
+                ...(textAnswer && { answerPattern: textAnswer.pattern, matching: textAnswer.matching }),
+                ...(numericAnswer && { numericAnswer: numericAnswer }),
+                ...(matching && { matchTargets: matching.targets }),
+                ...(cloze && { blanks: cloze.blanks }),
+                ...(partialCredit !== undefined && { partialCredit: partialCredit }),
+                ...(points !== null && { points: points }),
+                ...(difficulty !== null && { difficulty: difficulty }),
                 rawBlock: questionBlock,
                 extractionMetadata: {
                     ...extractionContext,
                     optionCount: Object.keys(options).length,
                     correctAnswerCount: correctAnswers.length,
-                    contentLength: questionContent.length
+                    contentLength: questionContent.length,
+                    hasExplanation: explanation !== null,
+                    mediaCount: media.length
                 }
             };
             
             this.log('debug', `Pregunta ${questionNumber} extraída exitosamente`, {
+                type,
                 optionCount: Object.keys(options).length,
                 correctAnswers: correctAnswers.join(','),
                 contentLength: questionContent.length
@@ -169,24 +881,176 @@ class MarkdownParser {
 
     extractAnswers(questionBlock) {
         const options = {};
-        let match;
         
-        // Resetear el índice del regex
-        this.optionRegex.lastIndex = 0;
+        // Ignorar la explicación para no confundir sus líneas con opciones
+        const lines = this.getAnswerSection(questionBlock).split('\n');
+        let currentLetter = null;
+        let fence = null;
+        let codeLines = [];
         
-        while ((match = this.optionRegex.exec(questionBlock)) !== null) {
-            const letter = match[1]; // A, B, C, D
-            let optionText = match[2].trim();
+        for (const line of lines) {
+            // Dentro de un bloque de código nada se interpreta como opción
+            if (fence) {
+                codeLines.push(line);
+                if (this.isClosingFence(line, fence)) {
+                    if (currentLetter) {
+                        options[currentLetter] += '\n' + codeLines.join('\n');
+                    }
+                    fence = null;
+                    codeLines = [];
+                }
+                continue;
+            }
             
-            // Limpiar el texto de la opción removiendo marcado de negrita
-            optionText = this.cleanOptionText(optionText);
+            const fenceMatch = line.match(this.codeFenceRegex);
+            if (fenceMatch) {
+                // Un bloque de código justo después de una opción forma parte de ella
+                fence = fenceMatch[1];
+                codeLines = [line];
+                continue;
+            }
             
-            options[letter] = optionText;
+            this.optionRegex.lastIndex = 0;
+            const match = this.optionRegex.exec(line);
+            if (match) {
+                const letter = match[1]; // A, B, C, D
+                
+                // Limpiar el texto de la opción removiendo marcado de negrita
+                options[letter] = this.cleanOptionText(match[2].trim());
+                currentLetter = letter;
+            } else if (line.trim().length > 0) {
+                currentLetter = null;
+            }
         }
         
         return options;
     }
 
+    extractMedia(text) {
+        const media = [];
+        const seen = new Set();
+        let match;
+        
+        // Las referencias dentro de bloques de código no son multimedia
+        const textWithoutCode = this.stripCodeFences(text);
+        
+        this.mediaRegex.lastIndex = 0;
+        while ((match = this.mediaRegex.exec(textWithoutCode)) !== null) {
+            const src = match[2];
+            if (seen.has(src)) continue;
+            seen.add(src);
+            
+            media.push({
+                type: this.getMediaType(src),
+                alt: match[1].trim(),
+                title: match[3] || null,
+                src: src,
+                url: this.resolveMediaPath(src)
+            });
+        }
+        
+        if (media.length > 0) {
+            this.log('debug', `Referencias multimedia encontradas: ${media.length}`, media);
+        }
+        
+        return media;
+    }
+
+    getMediaType(src) {
+        const extension = src.split(/[?#]/)[0].split('.').pop().toLowerCase();
+        
+        if (this.audioExtensions.includes(extension)) {
+            return 'audio';
+        }
+        if (this.videoExtensions.includes(extension)) {
+            return 'video';
+        }
+        return 'image';
+    }
+
+    resolveMediaPath(src) {
+        // URLs absolutas, rutas desde la raíz y data URIs se usan tal cual
+        if (/^[a-z][a-z0-9+.-]*:/i.test(src) || src.startsWith('/')) {
+            return src;
+        }
+        
+        // Rutas relativas se resuelven contra la carpeta del archivo del quiz
+        const lastSlash = this.sourcePath.lastIndexOf('/');
+        const baseDir = lastSlash === -1 ? '' : this.sourcePath.substring(0, lastSlash + 1);
+        const segments = (baseDir + src.replace(/^\.\//, '')).split('/');
+        const resolved = [];
+        
+        for (const segment of segments) {
+            if (segment === '.') continue;
+            if (segment === '..' && resolved.length > 0 && resolved[resolved.length - 1] !== '..') {
+                resolved.pop();
+            } else {
+                resolved.push(segment);
+            }
+        }
+        
+        return resolved.join('/');
+    }
+
+    stripCodeFences(text) {
+        const lines = text.split('\n');
+        const kept = [];
+        let fence = null;
+        
+        for (const line of lines) {
+            if (fence) {
+                if (this.isClosingFence(line, fence)) {
+                    fence = null;
+                }
+                continue;
+            }
+            
+            const fenceMatch = line.match(this.codeFenceRegex);
+            if (fenceMatch) {
+                fence = fenceMatch[1];
+                continue;
+            }
+            
+            kept.push(line);
+        }
+        
+        return kept.join('\n');
+    }
+
+    protectCodeFences(markdownContent) {
+        const lines = markdownContent.split('\n');
+        let fence = null;
+        
+        for (let i = 0; i < lines.length; i++) {
+            if (fence) {
+                if (this.isClosingFence(lines[i], fence)) {
+                    fence = null;
+                } else if (/^(#|---)/.test(lines[i])) {
+                    lines[i] = this.codeLineMarker + lines[i];
+                }
+                continue;
+            }
+            
+            const fenceMatch = lines[i].match(this.codeFenceRegex);
+            if (fenceMatch) {
+                fence = fenceMatch[1];
+            }
+        }
+        
+        return lines.join('\n');
+    }
+
+    restoreCodeFences(block) {
+        return block.split(this.codeLineMarker).join('');
+    }
+
+    isClosingFence(line, fence) {
+        const trimmed = line.trim();
+        return trimmed.length >= fence.length &&
+               trimmed[0] === fence[0] &&
+               /^(`+|~+)$/.test(trimmed);
+    }
+
     extractCorrectAnswer(questionBlock) {
         const correctAnswers = [];
         
@@ -217,7 +1081,393 @@ class MarkdownParser {
         return correctAnswers;
     }
 
+    detectQuestionType(questionBlock, questionContent = '') {
+        const attributes = this.getAnswerButtonAttributes(questionBlock);
+        const typeAttribute = (attributes.type || '').toLowerCase();
+        if (this.clozeTypeValues.includes(typeAttribute)) {
+            return 'cloze';
+        }
+        
+        if (this.numericTypeValues.includes(typeAttribute)) {
+            return 'numeric';
+        }
+        
+        if (this.orderingTypeValues.includes(typeAttribute)) {
+            return 'ordering';
+        }
+        
+        if (this.matchingTypeValues.includes(typeAttribute)) {
+            return 'matching';
+        }
+        
+        if (this.textTypeValues.includes(typeAttribute) ||
+            (attributes.pattern !== undefined && attributes.message === undefined)) {
+            return 'text';
+        }
+        
+        if (attributes.message !== undefined && this.getTrueFalseValue(attributes.message)) {
+            return 'truefalse';
+        }
+        
+        // Huecos en el enunciado sin respuesta con letras
+        if (!typeAttribute && attributes.message === undefined && this.extractClozeBlanks(questionContent).blanks.length > 0) {
+            return 'cloze';
+        }
+        return 'choice';
+    }
+
+    // Reemplaza cada {{...}} fuera de bloques y spans de código por {{n}} y devuelve sus respuestas
+    extractClozeBlanks(questionContent) {
+        const blanks = [];
+        let fence = null;
+        
+        const lines = questionContent.split('\n').map(line => {
+            if (fence) {
+                if (this.isClosingFence(line, fence)) {
+                    fence = null;
+                }
+                return line;
+            }
+            
+            const fenceMatch = line.match(this.codeFenceRegex);
+            if (fenceMatch) {
+                fence = fenceMatch[1];
+                return line;
+            }
+            
+            // Los segmentos impares (entre backticks) son código en línea
+            return line.split(/(`[^`]*`)/).map((segment, index) => {
+                if (index % 2 === 1) {
+                    return segment;
+                }
+                return segment.replace(this.clozeBlankRegex, (marker, inner) => {
+                    blanks.push(this.parseClozeBlank(inner));
+                    return `{{${blanks.length}}}`;
+                });
+            }).join('');
+        });
+        
+        return { content: lines.join('\n'), blanks };
+    }
+
+    // "Paris|París" -> texto libre; "*Paris|London|Madrid" -> lista con la correcta marcada con *
+    parseClozeBlank(inner) {
+        const parts = inner.split('|').map(part => part.trim()).filter(part => part.length > 0);
+        const isChoice = parts.some(part => part.startsWith('*'));
+        
+        if (isChoice) {
+            return {
+                choices: parts.map(part => part.replace(/^\*\s*/, '')),
+                accepted: parts.filter(part => part.startsWith('*')).map(part => part.replace(/^\*\s*/, ''))
+            };
+        }
+        return { choices: null, accepted: parts };
+    }
+
+    // <as-button type="order" message="CAB">: orden correcto de las letras (sin message, el orden escrito)
+    extractOrderingAnswer(questionBlock, options) {
+        const attributes = this.getAnswerButtonAttributes(questionBlock);
+        const order = (attributes.message || '').toUpperCase().match(/[A-Z]/g);
+        return order || Object.keys(options);
+    }
+
+    // Emparejar con tabla (| HTTP | 80 |) o con dos listas (A. HTTP / 1. 80) y message="A1 B3 C2"
+    extractMatchingPairs(questionBlock) {
+        const section = this.stripCodeFences(this.getAnswerSection(questionBlock));
+        const lines = section.split('\n');
+        
+        // Formato 1: tabla de dos columnas (la primera fila es el encabezado)
+        const separatorIndex = lines.findIndex((line, index) =>
+            index > 0 && this.tableSeparatorRegex.test(line) && this.tableRowRegex.test(lines[index - 1]));
+        if (separatorIndex !== -1) {
+            const options = {};
+            const targets = {};
+            const pairs = [];
+            let end = separatorIndex + 1;
+            
+            for (; end < lines.length && this.tableRowRegex.test(lines[end]); end++) {
+                const cells = this.tableRowRegex.exec(lines[end])[1].split('|').map(cell => this.cleanOptionText(cell));
+                if (cells.length < 2 || !cells[0] || !cells[1]) {
+                    continue;
+                }
+                
+                const letter = String.fromCharCode(65 + Object.keys(options).length);
+                // Un mismo destino repetido (dos protocolos con el mismo puerto) es un solo destino
+                let target = Object.keys(targets).find(key => targets[key] === cells[1]);
+                if (!target) {
+                    target = String(Object.keys(targets).length + 1);
+                    targets[target] = cells[1];
+                }
+                options[letter] = cells[0];
+                pairs.push(`${letter}${target}`);
+            }
+            
+            return {
+                options,
+                targets,
+                pairs,
+                tableText: lines.slice(separatorIndex - 1, end).join('\n')
+            };
+        }
+        
+        // Formato 2: elementos con letra, destinos numerados y las parejas en message
+        const options = this.extractAnswers(questionBlock);
+        const targets = {};
+        for (const line of lines) {
+            const targetMatch = this.matchTargetRegex.exec(line);
+            if (targetMatch) {
+                targets[targetMatch[1]] = this.cleanOptionText(targetMatch[2]);
+            }
+        }
+        
+        const message = this.getAnswerButtonAttributes(questionBlock).message || '';
+        const pairs = [];
+        this.matchPairRegex.lastIndex = 0;
+        let match;
+        while ((match = this.matchPairRegex.exec(message.toUpperCase())) !== null) {
+            pairs.push(`${match[1]}${match[2]}`);
+        }
+        
+        if (Object.keys(targets).length === 0 || pairs.length === 0) {
+            throw new Error('No se pudieron extraer las parejas (usa una tabla o letras, destinos numerados y message="A1 B2")');
+        }
+        
+        return { options, targets, pairs, tableText: null };
+    }
+
+    // partial-credit="true|false" en el botón (undefined = lo que diga el quiz)
+    getPartialCreditAttribute(questionBlock) {
+        const value = this.getAnswerButtonAttributes(questionBlock)['partial-credit'];
+        if (value === undefined) {
+            return undefined;
+        }
+        return value === '' || /^(true|yes|si|sí|1)$/i.test(value);
+    }
+
+    // <as-button type="number" message="42 ± 0.5"> o message="3.1e8" tolerance="1%" unit="m/s"
+    extractNumericAnswer(questionBlock) {
+        const attributes = this.getAnswerButtonAttributes(questionBlock);
+        const message = (attributes.message || '').trim();
+        
+        const match = this.numericAnswerRegex.exec(message);
+        const value = match ? this.parseLocaleNumber(match[1]) : null;
+        if (value === null) {
+            throw new Error(`Respuesta numérica inválida: "${message}"`);
+        }
+        
+        let tolerance = 0;
+        let relative = false;
+        let toleranceText = match[2] ? `${match[2]}${match[3] || ''}` : '';
+        if (attributes.tolerance !== undefined) {
+            toleranceText = attributes.tolerance.trim();
+        }
+        
+        if (toleranceText) {
+            const toleranceMatch = this.toleranceRegex.exec(toleranceText);
+            const amount = toleranceMatch ? this.parseLocaleNumber(toleranceMatch[1]) : null;
+            if (amount === null) {
+                throw new Error(`Tolerancia inválida: "${toleranceText}"`);
+            }
+            tolerance = amount;
+            relative = Boolean(toleranceMatch[2]);
+        }
+        
+        const unit = (attributes.unit ?? match[4]).trim() || null;
+        
+        return {
+            value,
+            tolerance,
+            relative,
+            unit,
+            // Texto para mostrar la respuesta correcta tal como la escribió el autor
+            text: [match[1], tolerance > 0 ? `± ${toleranceText}` : '', unit || ''].filter(Boolean).join(' ')
+        };
+    }
+
+    // Número con coma o punto decimal: "3,14", "3.14", "1.000,5", "1,000.5", "3.1e8"
+    parseLocaleNumber(text) {
+        let normalized = String(text).trim().replace(/\s+/g, '');
+        const lastComma = normalized.lastIndexOf(',');
+        const lastDot = normalized.lastIndexOf('.');
+        
+        if (lastComma !== -1 && lastDot !== -1) {
+            // El último separador es el decimal; el otro agrupa miles
+            const thousands = lastComma > lastDot ? '.' : ',';
+            normalized = normalized.split(thousands).join('');
+        } else if ((normalized.match(/\./g) || []).length > 1) {
+            normalized = normalized.replace(/\./g, '');
+        } else if ((normalized.match(/,/g) || []).length > 1) {
+            normalized = normalized.replace(/,/g, '');
+        }
+        normalized = normalized.replace(',', '.');
+        
+        if (!/^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/.test(normalized)) {
+            return null;
+        }
+        const value = Number(normalized);
+        return Number.isFinite(value) ? value : null;
+    }
+
+    getAnswerButtonAttributes(questionBlock) {
+        const attributes = {};
+        const buttonMatch = this.answerButtonRegex.exec(questionBlock);
+        if (!buttonMatch) {
+            return attributes;
+        }
+        
+        this.attributeRegex.lastIndex = 0;
+        let match;
+        while ((match = this.attributeRegex.exec(buttonMatch[1])) !== null) {
+            // Atributos sin valor (case-sensitive) cuentan como activados
+            attributes[match[1].toLowerCase()] = match[2] ?? '';
+        }
+        return attributes;
+    }
+
+    // <as-button type="text" message="pwd|print working directory" pattern="^pwd$" typo-tolerance="1">
+    extractTextAnswer(questionBlock) {
+        const attributes = this.getAnswerButtonAttributes(questionBlock);
+        
+        const accepted = (attributes.message || '')
+            .split('|')
+            .map(answer => answer.trim())
+            .filter(answer => answer.length > 0);
+        
+        let pattern = null;
+        if (attributes.pattern !== undefined && attributes.pattern.trim().length > 0) {
+            pattern = attributes.pattern.trim();
+            try {
+                new RegExp(pattern);
+            } catch (error) {
+                throw new Error(`Expresión regular inválida en pattern: ${error.message}`);
+            }
+        }
+        
+        if (accepted.length === 0 && !pattern) {
+            throw new Error('No se pudieron extraer las respuestas aceptadas (message o pattern)');
+        }
+        
+        // Opciones de comparación propias de la pregunta (sobrescriben las del quiz)
+        const matching = {};
+        const flags = {
+            'case-sensitive': 'caseSensitive',
+            'ignore-accents': 'ignoreAccents',
+            'normalize-whitespace': 'normalizeWhitespace'
+        };
+        for (const [attribute, key] of Object.entries(flags)) {
+            if (attributes[attribute] !== undefined) {
+                matching[key] = attributes[attribute] === '' || /^(true|yes|si|sí|1)$/i.test(attributes[attribute]);
+            }
+        }
+        if (attributes['typo-tolerance'] !== undefined) {
+            const tolerance = parseInt(attributes['typo-tolerance'], 10);
+            if (Number.isInteger(tolerance) && tolerance >= 0) {
+                matching.typoTolerance = tolerance;
+            } else {
+                this.log('warn', `typo-tolerance inválido: ${attributes['typo-tolerance']}`);
+            }
+        }
+        
+        return { accepted, pattern, matching };
+    }
+
+    getTrueFalseValue(messageValue) {
+        const value = messageValue.trim().toLowerCase();
+        for (const [answer, styles] of Object.entries(this.trueFalseValues)) {
+            for (const [style, values] of Object.entries(styles)) {
+                if (values.includes(value)) {
+                    return { answer, style };
+                }
+            }
+        }
+        return null;
+    }
+
+    extractTrueFalseAnswer(questionBlock) {
+        const messageMatch = this.correctAnswerRegex.exec(questionBlock);
+        const trueFalse = messageMatch ? this.getTrueFalseValue(messageMatch[1]) : null;
+        if (!trueFalse) {
+            throw new Error('No se pudo extraer la respuesta de verdadero/falso');
+        }
+        
+        // Las opciones con letra no se usan en este tipo de pregunta
+        if (Object.keys(this.extractAnswers(questionBlock)).length > 0) {
+            this.log('warn', 'Pregunta de verdadero/falso con opciones A, B...: se ignoran las opciones');
+        }
+        
+        return trueFalse;
+    }
+
+    getTrueFalseLabels(style, questionWord) {
+        // Idioma del front matter o, si no hay, el del título (Question/Pregunta)
+        const language = String(this.metadata.language || (questionWord === 'Question' ? 'en' : 'es')).toLowerCase();
+        const labels = this.trueFalseLabels[language.slice(0, 2)] || this.trueFalseLabels.es;
+        return labels[style];
+    }
+
+    getAnswerSection(questionBlock) {
+        // Todo lo que está después del botón de respuesta pertenece a la explicación
+        const buttonEnd = questionBlock.search(/<\/as-button>|<as-button[^>]*\/>/);
+        if (buttonEnd === -1) {
+            return questionBlock;
+        }
+        
+        const closing = questionBlock.slice(buttonEnd).match(/^<\/as-button>|^<as-button[^>]*\/>/);
+        return questionBlock.slice(0, buttonEnd + closing[0].length);
+    }
+
+    extractExplanation(questionBlock) {
+        try {
+            const answerSection = this.getAnswerSection(questionBlock);
+            const trailing = questionBlock.slice(answerSection.length);
+            if (trailing.trim().length === 0) {
+                return null;
+            }
+            
+            let explanation = '';
+            
+            // Formato 1: <details><summary>Explicación</summary>...</details>
+            const detailsMatch = this.explanationDetailsRegex.exec(trailing);
+            if (detailsMatch) {
+                explanation = detailsMatch[1].replace(/<summary[^>]*>[\s\S]*?<\/summary>/i, '');
+            } else {
+                // Formato 2: cita "> Explicación: ..." que puede continuar en varias líneas "> ..."
+                const lines = trailing.split('\n');
+                const startIndex = lines.findIndex(line => this.explanationQuoteRegex.test(line.trim()));
+                if (startIndex === -1) {
+                    return null;
+                }
+                
+                const quoteLines = [lines[startIndex].trim().replace(this.explanationQuoteRegex, '')];
+                for (let i = startIndex + 1; i < lines.length && lines[i].trim().startsWith('>'); i++) {
+                    quoteLines.push(lines[i].trim().replace(/^>\s?/, ''));
+                }
+                explanation = quoteLines.join('\n');
+            }
+            
+            explanation = explanation.trim();
+            if (explanation.length === 0) {
+                return null;
+            }
+            
+            if (explanation.length > this.validationRules.maxExplanationLength) {
+                this.log('warn', `Explicación truncada (${explanation.length} caracteres, máximo ${this.validationRules.maxExplanationLength})`);
+                explanation = explanation.substring(0, this.validationRules.maxExplanationLength);
+            }
+            
+            return explanation;
+        } catch (error) {
+            this.log('error', `Error extrayendo explicación: ${error.message}`);
+            return null;
+        }
+    }
+
     cleanOptionText(text) {
+        // El código en línea se conserva intacto
+        if (text.includes('`')) {
+            return text.trim();
+        }
+        
         // Remover marcado de negrita (**texto**)
         text = text.replace(/\*\*(.*?)\*\*/g, '$1');
         
@@ -235,11 +1485,28 @@ class MarkdownParser {
             // Dividir por líneas para un análisis más preciso
             const lines = questionBlock.split('\n');
             let questionContent = '';
+            let fence = null;
             
             // Empezar después del título (## Question/Pregunta XXX) y línea vacía
             for (let i = 2; i < lines.length; i++) {
                 const line = lines[i];
                 
+                // Conservar los bloques de código tal cual (indentación incluida)
+                if (fence) {
+                    if (this.isClosingFence(line, fence)) {
+                        fence = null;
+                    }
+                    questionContent += line + '\n';
+                    continue;
+                }
+                
+                const fenceMatch = line.match(this.codeFenceRegex);
+                if (fenceMatch) {
+                    fence = fenceMatch[1];
+                    questionContent += line + '\n';
+                    continue;
+                }
+                
                 // Verificar si esta línea es una opción (A, B, C, D, E, etc. al inicio de línea seguido de punto)
                 if (/^(?:\*\*)?[A-Z](?:\*\*)?\./.test(line)) {
                     break;
@@ -250,6 +1517,11 @@ class MarkdownParser {
                     break;
                 }
                 
+                // Las líneas de etiquetas, puntos y dificultad no forman parte del enunciado
+                if (this.tagsLineRegex.test(line) || this.pointsLineRegex.test(line) || this.difficultyLineRegex.test(line)) {
+                    continue;
+                }
+                
                 // Agregar la línea al contenido de la pregunta
                 questionContent += line + '\n';
             }
@@ -384,6 +1656,20 @@ class MarkdownParser {
         const options = questionData.options;
         const optionKeys = Object.keys(options);
         
+        // Respuesta escrita, numérica o con huecos: no tiene opciones
+        if (['text', 'numeric', 'cloze'].includes(questionData.type)) {
+            return true;
+        }
+        
+        // Verdadero/falso: exactamente los dos botones
+        if (questionData.type === 'truefalse') {
+            if (optionKeys.length !== 2 || !options.true || !options.false) {
+                this.addValidationError('Opciones de verdadero/falso inválidas');
+                return false;
+            }
+            return true;
+        }
+        
         if (optionKeys.length < this.validationRules.minOptions) {
             this.addValidationError(`Muy pocas opciones (${optionKeys.length}, mínimo ${this.validationRules.minOptions})`);
             return false;
@@ -439,14 +1725,82 @@ class MarkdownParser {
     validateCorrectAnswers(questionData) {
         const correctAnswers = questionData.correctAnswers;
         
+        // Emparejar: cada elemento una sola vez, con un destino existente
+        if (questionData.type === 'matching') {
+            const items = Object.keys(questionData.options);
+            const targets = questionData.matchTargets || {};
+            const letters = correctAnswers.map(pair => pair[0]);
+            
+            for (const pair of correctAnswers) {
+                if (!/^[A-Z]\d+$/.test(pair) || !targets[pair.slice(1)]) {
+                    this.addValidationError(`Pareja inválida: ${pair}`);
+                    return false;
+                }
+            }
+            
+            if (letters.length !== items.length || new Set(letters).size !== items.length ||
+                !letters.every(letter => items.includes(letter))) {
+                this.addValidationError(`Cada elemento debe tener una pareja (elementos: ${items.join('')}, parejas: ${correctAnswers.join(' ')})`);
+                return false;
+            }
+            return true;
+        }
+        
+        // Ordenar: el orden correcto debe incluir cada elemento una sola vez
+        if (questionData.type === 'ordering') {
+            const items = Object.keys(questionData.options);
+            const isPermutation = correctAnswers.length === items.length &&
+                                  new Set(correctAnswers).size === items.length &&
+                                  correctAnswers.every(letter => items.includes(letter));
+            if (!isPermutation) {
+                this.addValidationError(`Orden correcto inválido: ${correctAnswers.join('')} (elementos: ${items.join('')})`);
+                return false;
+            }
+            return true;
+        }
+        
+        // Huecos: cada uno con al menos una respuesta aceptada
+        if (questionData.type === 'cloze') {
+            const blanks = questionData.blanks || [];
+            if (blanks.length === 0) {
+                this.addValidationError('No se encontraron huecos {{...}} en el enunciado');
+                return false;
+            }
+            const emptyIndex = blanks.findIndex(blank => blank.accepted.length === 0);
+            if (emptyIndex !== -1) {
+                this.addValidationError(`El hueco ${emptyIndex + 1} no tiene respuesta aceptada`);
+                return false;
+            }
+            return true;
+        }
+        
+        // Respuesta numérica: valor esperado válido
+        if (questionData.type === 'numeric') {
+            if (!questionData.numericAnswer || !Number.isFinite(questionData.numericAnswer.value)) {
+                this.addValidationError('Valor numérico esperado faltante o inválido');
+                return false;
+            }
+            return true;
+        }
+        
+        // Respuesta escrita: basta con un texto aceptado o un patrón
+        if (questionData.type === 'text') {
+            if (correctAnswers.length === 0 && !questionData.answerPattern) {
+                this.addValidationError('No hay respuestas aceptadas definidas');
+                return false;
+            }
+            return true;
+        }
+        
         if (correctAnswers.length === 0) {
             this.addValidationError('No hay respuestas correctas definidas');
             return false;
         }
         
-        // Verificar que todas las respuestas correctas sean letras válidas
+        // Verificar que todas las respuestas correctas sean letras válidas (o true/false)
+        const answerPattern = questionData.type === 'truefalse' ? /^(?:true|false)$/ : /^[A-Z]$/;
         for (const answer of correctAnswers) {
-            if (!/^[A-Z]$/.test(answer)) {
+            if (!answerPattern.test(answer)) {
                 this.addValidationError(`Respuesta correcta inválida: ${answer}`);
                 return false;
             }
@@ -465,6 +1819,10 @@ class MarkdownParser {
     validateAnswerConsistency(questionData) {
         const { options, correctAnswers } = questionData;
         
+        if (['text', 'numeric', 'matching', 'cloze'].includes(questionData.type)) {
+            return true;
+        }
+        
         // Verificar que todas las respuestas correctas existan en las opciones
         for (const answer of correctAnswers) {
             if (!options[answer]) {
@@ -508,6 +1866,7 @@ class MarkdownParser {
     }
 
     resetParsingState() {
+        this.metadata = {};
         this.validationErrors = [];
         this.parsingWarnings = [];
         this.processedQuestions = 0;
@@ -586,6 +1945,11 @@ class MarkdownParser {
         };
     }
 
+    // Public method to get quiz metadata from the front matter
+    getMetadata() {
+        return { ...this.metadata };
+    }
+
     // Public method to get detailed logs
     getDetailedLogs() {
         return {
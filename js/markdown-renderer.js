@@ -0,0 +1,504 @@
+/**
+ * MarkdownRenderer - Converts Markdown text from quiz files into safe DOM nodes
+ * Builds elements from an allowlist and inserts all text through textContent,
+ * so quiz content can never inject HTML or script into the page
+ */
+class MarkdownRenderer {
+    constructor() {
+        // Only these elements can be produced by the renderer
+        this.allowedTags = new Set([
+            'p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'span', 'a',
+            'img', 'audio', 'video',
+            'ul', 'ol', 'li', 'blockquote',
+            'table', 'thead', 'tbody', 'tr', 'th', 'td'
+        ]);
+
+        // Protocols allowed in link targets
+        this.allowedProtocols = ['http:', 'https:', 'mailto:'];
+
+        // Media types by file extension
+        this.audioExtensions = ['mp3', 'wav', 'ogg', 'oga', 'm4a', 'aac', 'flac'];
+        this.videoExtensions = ['mp4', 'webm', 'ogv', 'mov', 'm4v'];
+
+        // Options for the render in progress (e.g. resolved media of the question)
+        this.renderOptions = {};
+
+        // Optional highlighter for fenced code blocks
+        this.highlighter = typeof SyntaxHighlighter !== 'undefined' ? new SyntaxHighlighter() : null;
+
+        // Block-level patterns
+        this.codeFenceRegex = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+        this.unorderedItemRegex = /^\s*[-*+]\s+(.*)$/;
+        this.orderedItemRegex = /^\s*(\d+)[.)]\s+(.*)$/;
+        this.blockquoteRegex = /^\s*>\s?(.*)$/;
+        this.tableRowRegex = /^\s*\|.*\|\s*$/;
+        this.tableSeparatorRegex = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+        // Inline patterns (sticky, evaluated at the current position)
+        this.inlinePatterns = [
+            { type: 'escape', regex: /\\([\\`*_{}[\]()#+\-.!~|>])/y },
+            { type: 'code', regex: /(`+)([\s\S]*?[^`])\1(?!`)/y },
+            { type: 'media', regex: /!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)/y },
+            { type: 'link', regex: /\[([^\]]+)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)/y },
+            { type: 'strong', regex: /\*\*(?=\S)([\s\S]*?\S)\*\*/y },
+            { type: 'strong', regex: /__(?=\S)([\s\S]*?\S)__(?!\w)/y },
+            { type: 'del', regex: /~~(?=\S)([\s\S]*?\S)~~/y },
+            { type: 'em', regex: /\*(?=[^\s*])([\s\S]*?[^\s*])\*/y },
+            { type: 'em', regex: /_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/y }
+        ];
+    }
+
+    /**
+     * Render Markdown into a fragment with block elements (paragraphs, lists, tables...)
+     * @param {string} markdown - Markdown source
+     * @param {Object} options - { media: resolved media references from the parser }
+     * @returns {DocumentFragment} - Safe DOM nodes
+     */
+    render(markdown, options = {}) {
+        return this.withOptions(options, () => {
+            const fragment = document.createDocumentFragment();
+            const lines = this.normalize(markdown).split('\n');
+
+            this.renderBlocks(lines, fragment);
+            return fragment;
+        });
+    }
+
+    /**
+     * Render Markdown as inline content only (no paragraphs), for options and short texts
+     * @param {string} markdown - Markdown source
+     * @param {Object} options - { media: resolved media references from the parser }
+     * @returns {DocumentFragment} - Safe DOM nodes
+     */
+    renderInline(markdown, options = {}) {
+        return this.withOptions(options, () => this.buildInline(markdown));
+    }
+
+    buildInline(markdown) {
+        const fragment = document.createDocumentFragment();
+        const lines = this.normalize(markdown).split('\n');
+        let i = 0;
+
+        while (i < lines.length) {
+            // Los bloques de código se conservan aunque el contenido sea inline
+            if (this.codeFenceRegex.test(lines[i])) {
+                i = this.renderCodeBlock(lines, i, fragment);
+                continue;
+            }
+
+            if (i > 0 && !this.codeFenceRegex.test(lines[i - 1])) {
+                fragment.appendChild(this.createElement('br'));
+            }
+            this.appendInline(fragment, lines[i]);
+            i++;
+        }
+
+        return fragment;
+    }
+
+    /**
+     * Replace the children of an element with rendered Markdown
+     * @param {HTMLElement} element - Target element
+     * @param {string} markdown - Markdown source
+     * @param {Object} options - { inline: boolean, media: resolved media references }
+     */
+    renderInto(element, markdown, options = {}) {
+        if (!element) return;
+
+        element.textContent = '';
+        element.appendChild(options.inline ? this.renderInline(markdown, options) : this.render(markdown, options));
+        element.classList.add('markdown-content');
+    }
+
+    withOptions(options, callback) {
+        const previous = this.renderOptions;
+        this.renderOptions = options || {};
+        try {
+            return callback();
+        } finally {
+            this.renderOptions = previous;
+        }
+    }
+
+    normalize(markdown) {
+        if (markdown === null || markdown === undefined) {
+            return '';
+        }
+        return String(markdown).replace(/\r\n?/g, '\n');
+    }
+
+    renderBlocks(lines, container) {
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            // Líneas vacías separan bloques
+            if (line.trim().length === 0) {
+                i++;
+                continue;
+            }
+
+            if (this.codeFenceRegex.test(line)) {
+                i = this.renderCodeBlock(lines, i, container);
+            } else if (this.blockquoteRegex.test(line)) {
+                i = this.renderBlockquote(lines, i, container);
+            } else if (this.isTableStart(lines, i)) {
+                i = this.renderTable(lines, i, container);
+            } else if (this.unorderedItemRegex.test(line)) {
+                i = this.renderList(lines, i, container, 'ul', this.unorderedItemRegex);
+            } else if (this.orderedItemRegex.test(line)) {
+                i = this.renderList(lines, i, container, 'ol', this.orderedItemRegex);
+            } else {
+                i = this.renderParagraph(lines, i, container);
+            }
+        }
+    }
+
+    isBlockStart(lines, index) {
+        const line = lines[index];
+        return this.codeFenceRegex.test(line) ||
+               this.blockquoteRegex.test(line) ||
+               this.isTableStart(lines, index) ||
+               this.unorderedItemRegex.test(line) ||
+               this.orderedItemRegex.test(line);
+    }
+
+    renderParagraph(lines, start, container) {
+        const paragraph = this.createElement('p');
+        let i = start;
+
+        while (i < lines.length && lines[i].trim().length > 0 && (i === start || !this.isBlockStart(lines, i))) {
+            if (i > start) {
+                paragraph.appendChild(this.createElement('br'));
+            }
+            this.appendInline(paragraph, lines[i].trim());
+            i++;
+        }
+
+        container.appendChild(paragraph);
+        return i;
+    }
+
+    renderCodeBlock(lines, start, container) {
+        const [, fence, language] = lines[start].match(this.codeFenceRegex);
+        const closingRegex = new RegExp(`^\\s*${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`);
+        const codeLines = [];
+        let i = start + 1;
+
+        // Sin cierre, el bloque llega hasta el final del contenido
+        while (i < lines.length && !closingRegex.test(lines[i])) {
+            codeLines.push(lines[i]);
+            i++;
+        }
+
+        const pre = this.createElement('pre');
+        const code = this.createElement('code');
+        const source = codeLines.join('\n');
+
+        if (language) {
+            code.className = `language-${language.toLowerCase()}`;
+            pre.setAttribute('data-language', language.toLowerCase());
+        }
+
+        if (this.highlighter && this.highlighter.isSupported(language)) {
+            code.appendChild(this.highlighter.highlight(source, language));
+        } else {
+            code.textContent = source;
+        }
+
+        pre.appendChild(code);
+        container.appendChild(pre);
+        return i + 1;
+    }
+
+    renderBlockquote(lines, start, container) {
+        const quoteLines = [];
+        let i = start;
+
+        while (i < lines.length && this.blockquoteRegex.test(lines[i])) {
+            quoteLines.push(lines[i].match(this.blockquoteRegex)[1]);
+            i++;
+        }
+
+        const blockquote = this.createElement('blockquote');
+        this.renderBlocks(quoteLines, blockquote);
+        container.appendChild(blockquote);
+        return i;
+    }
+
+    renderList(lines, start, container, tag, itemRegex) {
+        const list = this.createElement(tag);
+        let i = start;
+
+        // Respetar el número inicial en listas ordenadas
+        if (tag === 'ol') {
+            const first = parseInt(lines[start].match(itemRegex)[1], 10);
+            if (first !== 1) {
+                list.setAttribute('start', String(first));
+            }
+        }
+
+        while (i < lines.length && itemRegex.test(lines[i])) {
+            const match = lines[i].match(itemRegex);
+            const item = this.createElement('li');
+            this.appendInline(item, (tag === 'ol' ? match[2] : match[1]).trim());
+
+            // Las líneas indentadas siguientes continúan el mismo elemento
+            i++;
+            while (i < lines.length && /^\s{2,}\S/.test(lines[i]) && !itemRegex.test(lines[i])) {
+                item.appendChild(this.createElement('br'));
+                this.appendInline(item, lines[i].trim());
+                i++;
+            }
+
+            list.appendChild(item);
+        }
+
+        container.appendChild(list);
+        return i;
+    }
+
+    isTableStart(lines, index) {
+        return index + 1 < lines.length &&
+               this.tableRowRegex.test(lines[index]) &&
+               this.tableSeparatorRegex.test(lines[index + 1]);
+    }
+
+    splitTableRow(line) {
+        return line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+    }
+
+    renderTable(lines, start, container) {
+        const table = this.createElement('table');
+        const thead = this.createElement('thead');
+        const tbody = this.createElement('tbody');
+
+        const headerRow = this.createElement('tr');
+        this.splitTableRow(lines[start]).forEach(cell => {
+            const th = this.createElement('th');
+            this.appendInline(th, cell);
+            headerRow.appendChild(th);
+        });
+        thead.appendChild(headerRow);
+
+        let i = start + 2;
+        while (i < lines.length && this.tableRowRegex.test(lines[i])) {
+            const row = this.createElement('tr');
+            this.splitTableRow(lines[i]).forEach(cell => {
+                const td = this.createElement('td');
+                this.appendInline(td, cell);
+                row.appendChild(td);
+            });
+            tbody.appendChild(row);
+            i++;
+        }
+
+        table.appendChild(thead);
+        table.appendChild(tbody);
+        container.appendChild(table);
+        return i;
+    }
+
+    appendInline(parent, text) {
+        let buffer = '';
+        let i = 0;
+
+        const flush = () => {
+            if (buffer) {
+                parent.appendChild(document.createTextNode(buffer));
+                buffer = '';
+            }
+        };
+
+        while (i < text.length) {
+            const token = this.matchInlineToken(text, i);
+
+            if (!token) {
+                buffer += text[i];
+                i++;
+                continue;
+            }
+
+            flush();
+            parent.appendChild(this.createInlineNode(token));
+            i = token.end;
+        }
+
+        flush();
+    }
+
+    matchInlineToken(text, position) {
+        // "_" solo abre énfasis al inicio de palabra (evita snake_case)
+        const previous = position > 0 ? text[position - 1] : '';
+
+        for (const pattern of this.inlinePatterns) {
+            if (pattern.regex.source.startsWith('_') && /\w/.test(previous)) {
+                continue;
+            }
+
+            pattern.regex.lastIndex = position;
+            const match = pattern.regex.exec(text);
+            if (match) {
+                return { type: pattern.type, match, end: pattern.regex.lastIndex };
+            }
+        }
+
+        return null;
+    }
+
+    createInlineNode(token) {
+        const { type, match } = token;
+
+        switch (type) {
+            case 'escape':
+                return document.createTextNode(match[1]);
+
+            case 'code': {
+                const code = this.createElement('code');
+                code.textContent = match[2].replace(/^ (.*) $/, '$1');
+                return code;
+            }
+
+            case 'media':
+                return this.createMediaNode(match[1], match[2], match[3]);
+
+            case 'link': {
+                const href = this.sanitizeUrl(match[2]);
+                if (!href) {
+                    // Enlace no permitido: mostrar solo el texto
+                    const fragment = document.createDocumentFragment();
+                    this.appendInline(fragment, match[1]);
+                    return fragment;
+                }
+
+                const link = this.createElement('a');
+                link.setAttribute('href', href);
+                link.setAttribute('target', '_blank');
+                link.setAttribute('rel', 'noopener noreferrer');
+                if (match[3]) {
+                    link.setAttribute('title', match[3]);
+                }
+                this.appendInline(link, match[1]);
+                return link;
+            }
+
+            default: {
+                const element = this.createElement(type);
+                this.appendInline(element, match[1]);
+                return element;
+            }
+        }
+    }
+
+    createMediaNode(alt, src, title) {
+        const url = this.sanitizeUrl(this.resolveMediaUrl(src));
+        if (!url) {
+            return this.createMediaFallback(alt, src);
+        }
+
+        const type = this.getMediaType(src);
+        let element;
+
+        if (type === 'audio' || type === 'video') {
+            element = this.createElement(type);
+            element.setAttribute('controls', '');
+            element.setAttribute('preload', 'none');
+            element.setAttribute('src', url);
+            if (alt) {
+                element.setAttribute('aria-label', alt);
+            }
+        } else {
+            element = this.createElement('img');
+            element.setAttribute('src', url);
+            element.setAttribute('alt', alt);
+            element.setAttribute('loading', 'lazy');
+            element.setAttribute('decoding', 'async');
+        }
+
+        element.className = `markdown-media markdown-${type}`;
+        if (title) {
+            element.setAttribute('title', title);
+        }
+
+        // Mostrar un aviso en lugar del recurso si no se puede cargar
+        element.addEventListener('error', () => {
+            if (element.parentNode) {
+                element.parentNode.replaceChild(this.createMediaFallback(alt, src), element);
+            }
+        });
+
+        return element;
+    }
+
+    createMediaFallback(alt, src) {
+        const fallback = this.createElement('span');
+        fallback.className = 'media-fallback';
+        fallback.setAttribute('role', 'img');
+        fallback.setAttribute('aria-label', alt || src);
+        fallback.textContent = `⚠ Recurso no disponible: ${alt || src}`;
+        return fallback;
+    }
+
+    resolveMediaUrl(src) {
+        // El parser ya resolvió las rutas relativas al archivo del quiz
+        const media = this.renderOptions.media || [];
+        const reference = media.find(item => item.src === src);
+        return reference ? reference.url : src;
+    }
+
+    getMediaType(src) {
+        const extension = src.split(/[?#]/)[0].split('.').pop().toLowerCase();
+
+        if (this.audioExtensions.includes(extension)) {
+            return 'audio';
+        }
+        if (this.videoExtensions.includes(extension)) {
+            return 'video';
+        }
+        return 'image';
+    }
+
+    sanitizeUrl(url) {
+        if (!url || typeof url !== 'string') {
+            return null;
+        }
+
+        const trimmed = url.trim();
+
+        // Rutas relativas y anclas son seguras
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+            return trimmed.startsWith('//') ? null : trimmed;
+        }
+
+        const protocol = trimmed.slice(0, trimmed.indexOf(':') + 1).toLowerCase();
+        return this.allowedProtocols.includes(protocol) ? trimmed : null;
+    }
+
+    createElement(tag) {
+        if (!this.allowedTags.has(tag)) {
+            throw new Error(`Elemento no permitido por el renderizador: ${tag}`);
+        }
+        return document.createElement(tag);
+    }
+
+    /**
+     * Strip Markdown syntax to get a plain-text version (used for summaries and logs)
+     * @param {string} markdown - Markdown source
+     * @returns {string} - Plain text
+     */
+    toPlainText(markdown) {
+        const container = document.createElement('div');
+        container.appendChild(this.render(markdown));
+
+        // Bloques y saltos de línea separados por un espacio, no pegados
+        container.querySelectorAll('br').forEach(lineBreak => lineBreak.replaceWith(' '));
+        container.querySelectorAll('p, pre, blockquote, li, tr, th, td').forEach(block => block.append(' '));
+        return container.textContent.replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
@@ -0,0 +1,111 @@
+/**
+ * QuestionHistory - Estadísticas de respuestas y marcas de "vista" de cada pregunta entre quizzes
+ * Usa las mismas claves sacadas del contenido que StudyScheduler (QuizEngine.getQuestionKey).
+ * Los registros son objetos planos que la aplicación guarda en localStorage, un juego por archivo de quiz
+ */
+class QuestionHistory {
+    constructor(records = {}, options = {}) {
+        this.records = { ...records };
+
+        // Respuestas necesarias para que la tasa de aciertos diga algo de la dificultad de la pregunta
+        this.minAttempts = options.minAttempts || 3;
+    }
+
+    getRecord(question) {
+        return this.records[QuizEngine.getQuestionKey(question)] || null;
+    }
+
+    /**
+     * Cuenta una respuesta a la pregunta
+     * @param {Object} question - Pregunta parseada
+     * @param {boolean} isCorrect - Si la respuesta fue correcta
+     * @param {number} now - Hora actual en ms
+     * @returns {Object} - Registro actualizado
+     */
+    recordAnswer(question, isCorrect, now = Date.now()) {
+        const key = QuizEngine.getQuestionKey(question);
+        const previous = this.records[key] || { attempts: 0, correct: 0 };
+
+        this.records[key] = {
+            ...previous,
+            attempts: previous.attempts + 1,
+            correct: previous.correct + (isCorrect ? 1 : 0),
+            lastAnswered: now
+        };
+        return this.records[key];
+    }
+
+    // La pregunta se mostró en un quiz (respondida o no)
+    recordSeen(question, now = Date.now()) {
+        const key = QuizEngine.getQuestionKey(question);
+        this.records[key] = { attempts: 0, correct: 0, ...this.records[key], lastSeen: now };
+        return this.records[key];
+    }
+
+    getLastSeen(question) {
+        return this.getRecord(question)?.lastSeen || null;
+    }
+
+    /**
+     * Cuántas de las preguntas se han mostrado al menos una vez
+     * @param {Array} questions - Preguntas a contar
+     * @returns {{seen: number, total: number}}
+     */
+    getCoverage(questions) {
+        const seen = questions.filter(question => this.getLastSeen(question) !== null).length;
+        return { seen, total: questions.length };
+    }
+
+    // "Reiniciar historial": olvida qué preguntas se mostraron y conserva las estadísticas de respuestas
+    resetSeen() {
+        for (const [key, record] of Object.entries(this.records)) {
+            const { lastSeen, ...rest } = record;
+            if (rest.attempts > 0) {
+                this.records[key] = rest;
+            } else {
+                delete this.records[key];
+            }
+        }
+    }
+
+    /**
+     * Proporción de aciertos, suavizada hacia el 50% mientras haya pocas respuestas
+     * @param {Object} question - Pregunta parseada
+     * @returns {number|null} - Tasa entre 0 y 1, o null si nunca se respondió
+     */
+    getSuccessRate(question) {
+        const record = this.getRecord(question);
+        if (!record || !record.attempts) return null;
+        return (record.correct + 1) / (record.attempts + 2);
+    }
+
+    // Proporción suavizada de fallos (null si nunca se respondió)
+    getErrorRate(question) {
+        const successRate = this.getSuccessRate(question);
+        return successRate === null ? null : 1 - successRate;
+    }
+
+    getLastAnswered(question) {
+        return this.getRecord(question)?.lastAnswered || null;
+    }
+
+    /**
+     * Dificultad en la escala 1-5 de la línea "Dificultad:", según lo a menudo que se falla la pregunta
+     * @param {Object} question - Pregunta parseada
+     * @returns {number|null} - Dificultad estimada, o null sin respuestas suficientes
+     */
+    estimateDifficulty(question) {
+        const record = this.getRecord(question);
+        if (!record || record.attempts < this.minAttempts) return null;
+        return Math.round((1 + 4 * (1 - this.getSuccessRate(question))) * 10) / 10;
+    }
+
+    toJSON() {
+        return this.records;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionHistory;
+}
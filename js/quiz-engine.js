@@ -1,15 +1,26 @@
 // QuizEngine - Motor del quiz para manejar la lógica del juego
 
 class QuizEngine {
-    constructor(questions, numberOfQuestions = 10) {
+    constructor(questions, numberOfQuestions = 10, options = {}) {
         this.allQuestions = questions || [];
         this.numberOfQuestions = Math.min(numberOfQuestions, this.allQuestions.length);
         this.selectedQuestions = [];
         this.currentIndex = 0;
         this.userAnswers = [];
+        this.flaggedQuestions = [];  // Preguntas marcadas para revisar (modo examen)
+        this.feedbackShown = [];     // Preguntas en las que se mostró la corrección al momento (modo práctica)
+        this.optionOrders = [];      // Orden barajado de las opciones (letras originales en el orden mostrado)
         this.startTime = null;
         this.endTime = null;
         this.isCompleted = false;
+        this.questionStartTime = null;  // Inicio de la pregunta actual (límite por pregunta)
+        this.timeExpired = false;       // El quiz terminó por el límite de tiempo total
+        this.round = 1;                 // Ronda actual (las siguientes repiten solo las falladas)
+        this.roundHistory = [];         // Resumen de las rondas ya terminadas
+        this.blueprintWarnings = [];    // Grupos del reparto sin preguntas suficientes
+        this.blueprintAdjustment = null; // Reparto que pedía más preguntas que el quiz: { requested, total }
+        this.seenHistoryUsed = false;   // La selección dio prioridad a las preguntas no vistas
+        this.weakSpotsUsed = false;     // La selección se ponderó por los puntos débiles
         
         // Error tracking
         this.engineErrors = [];
@@ -20,7 +31,76 @@ class QuizEngine {
         this.validationRules = {
             minQuestions: 1,
             maxQuestions: 100,
-            maxAnswerLength: 10
+            // Longitud máxima de la respuesta según el tipo de pregunta
+            maxAnswerLength: {
+                choice: 10,
+                truefalse: 5,
+                text: 200,
+                numeric: 50,
+                ordering: 8,
+                matching: 40,
+                cloze: 2000
+            },
+            // Políticas de puntuación para preguntas de opción múltiple
+            scoringPolicies: ['all-or-nothing', 'proportional', 'right-minus-wrong'],
+            // Modos de quiz: respuesta a respuesta, examen con navegación libre y entrega final,
+            // práctica con corrección inmediata, estudio (práctica con repaso espaciado)
+            // o adaptativo (cada pregunta según el nivel mostrado hasta ese momento)
+            quizModes: ['standard', 'exam', 'practice', 'study', 'adaptive'],
+            // Escala de dificultad de las preguntas (y del nivel estimado en modo adaptativo)
+            difficultyRange: { min: 1, max: 5 }
+        };
+        
+        // Quiz settings (usually from the file's front matter)
+        this.settings = {
+            passingScore: 60,   // Porcentaje mínimo para aprobar
+            timeLimit: null,    // Límite de tiempo total en segundos
+            questionTimeLimit: null,  // Límite de tiempo por pregunta en segundos
+            timeWarning: null,  // Segundos de aviso antes de agotar el tiempo (null = 20% del límite, máx. 60)
+            tags: [],           // Filtro de etiquetas/categorías (vacío = todas)
+            partialCredit: null,  // Crédito parcial (null = según el tipo: sí al emparejar, no al ordenar)
+            scoringPolicy: 'all-or-nothing',  // Puntuación de preguntas con varias respuestas correctas
+            wrongAnswerPenalty: 0,    // Fracción de los puntos de la pregunta que resta un error
+            penalizeSkipped: false,   // Las preguntas sin responder restan como un error (si no, valen 0)
+            mode: 'standard',   // standard | exam | practice | study | adaptive
+            seed: null,         // Semilla del generador aleatorio (null = una nueva en cada quiz)
+            shuffleOptions: false,    // Barajar el orden de las opciones de las preguntas de opción múltiple
+            blueprint: null,    // Reparto por etiquetas/dificultad: [{label, tag|difficulty, count|percent}]
+            weakSpotFocus: 0,   // Peso de los puntos débiles al elegir preguntas (0 = al azar, 1 = normal, 2 = fuerte)
+            ...this.pickDefinedSettings(options)
+        };
+        
+        this.setSeed(this.settings.seed);
+        
+        if (!this.validationRules.scoringPolicies.includes(this.settings.scoringPolicy)) {
+            this.log('warn', `Política de puntuación desconocida "${this.settings.scoringPolicy}", se usa all-or-nothing`);
+            this.settings.scoringPolicy = 'all-or-nothing';
+        }
+        
+        if (!this.validationRules.quizModes.includes(this.settings.mode)) {
+            this.log('warn', `Modo de quiz desconocido "${this.settings.mode}", se usa standard`);
+            this.settings.mode = 'standard';
+        }
+        
+        if (this.settings.blueprint !== null && (!Array.isArray(this.settings.blueprint) || this.settings.blueprint.length === 0)) {
+            this.log('warn', 'Reparto de preguntas inválido, se ignora', { blueprint: this.settings.blueprint });
+            this.settings.blueprint = null;
+        }
+        if (!(typeof this.settings.weakSpotFocus === 'number' && this.settings.weakSpotFocus >= 0)) {
+            this.log('warn', `Enfoque en puntos débiles inválido "${this.settings.weakSpotFocus}", se desactiva`);
+            this.settings.weakSpotFocus = 0;
+        }
+        if (this.settings.blueprint && this.settings.mode === 'adaptive') {
+            this.log('warn', 'El modo adaptativo elige cada pregunta según las respuestas: se ignora el reparto');
+        }
+        
+        // Comparación de respuestas escritas (cada pregunta puede sobrescribirla)
+        this.settings.textMatching = {
+            caseSensitive: false,       // Distinguir mayúsculas/minúsculas
+            ignoreAccents: true,        // "canción" == "cancion"
+            normalizeWhitespace: true,  // Espacios repetidos y extremos no cuentan
+            typoTolerance: 0,           // Errores de tipeo permitidos (distancia de edición)
+            ...this.pickDefinedSettings(options?.textMatching)
         };
         
         this.log('info', 'Inicializando QuizEngine', {
@@ -32,26 +112,502 @@ class QuizEngine {
         // Validar que tengamos preguntas disponibles
         this.validateInitialQuestions();
         
+        // Limitar al número de preguntas que cumplen el filtro de etiquetas
+        this.numberOfQuestions = Math.min(numberOfQuestions, this.getEligibleQuestions().length);
+        if (this.numberOfQuestions === 0) {
+            throw new Error(`No hay preguntas disponibles con las etiquetas seleccionadas: ${this.settings.tags.join(', ')}`);
+        }
+        
         // Seleccionar preguntas aleatorias al inicializar
         this.selectRandomQuestions();
     }
 
+    // Semilla de texto (la misma semilla, el mismo archivo y la misma configuración dan el mismo quiz)
+    setSeed(seed = null) {
+        const text = seed === null || seed === undefined ? '' : String(seed).trim();
+        // Con una semilla indicada el quiz no depende del historial de preguntas vistas
+        this.isSeedGiven = Boolean(text);
+        this.seed = text || QuizEngine.generateSeed();
+        this.random = QuizEngine.createRandom(this.seed);
+        return this.seed;
+    }
+
+    static generateSeed() {
+        return Math.random().toString(36).slice(2, 8).toUpperCase().padEnd(6, '0');
+    }
+
+    // Hash FNV-1a de 32 bits de un texto (semillas, claves de pregunta y huella del archivo)
+    static hashString(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Generador pseudoaleatorio reproducible (mulberry32) sembrado con el hash FNV-1a de la semilla
+    static createRandom(seed) {
+        let state = QuizEngine.hashString(String(seed));
+        
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    pickDefinedSettings(options) {
+        const settings = {};
+        for (const [key, value] of Object.entries(options || {})) {
+            if (value !== undefined && value !== null) {
+                settings[key] = value;
+            }
+        }
+        return settings;
+    }
+
+    // Etiquetas de una pregunta, incluida su categoría de sección
+    static getQuestionTags(question) {
+        const tags = [...(question.tags || [])];
+        if (question.category && !tags.some(tag => tag.toLowerCase() === question.category.toLowerCase())) {
+            tags.unshift(question.category);
+        }
+        return tags;
+    }
+
+    // Preguntas que tienen al menos una de las etiquetas indicadas (sin etiquetas = todas)
+    static filterQuestionsByTags(questions, tags = []) {
+        if (!tags || tags.length === 0) {
+            return [...questions];
+        }
+        
+        const wanted = new Set(tags.map(tag => tag.toLowerCase()));
+        return questions.filter(question =>
+            QuizEngine.getQuestionTags(question).some(tag => wanted.has(tag.toLowerCase()))
+        );
+    }
+
+    // Resumen de etiquetas disponibles con el número de preguntas de cada una
+    static getTagSummary(questions) {
+        const summary = new Map();
+        
+        for (const question of questions) {
+            for (const tag of QuizEngine.getQuestionTags(question)) {
+                const key = tag.toLowerCase();
+                if (!summary.has(key)) {
+                    summary.set(key, { tag, count: 0 });
+                }
+                summary.get(key).count++;
+            }
+        }
+        
+        return [...summary.values()].sort((a, b) => a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Clave estable de una pregunta: hash de su tipo, enunciado, opciones y respuesta
+     * (no de su número ni su título, que cambian al reorganizar el archivo)
+     * @param {Object} question - Pregunta parseada
+     * @returns {string} - Clave como "q1a2b3c4d-120"
+     */
+    static getQuestionKey(question) {
+        const text = JSON.stringify([
+            question.type || 'choice',
+            question.content || '',
+            question.options || {},
+            question.correctAnswers || []
+        ]);
+        
+        return `q${QuizEngine.hashString(text).toString(16)}-${text.length}`;
+    }
+
+    // Tipo de pregunta (las preguntas sin tipo son de opción múltiple)
+    static getQuestionType(question) {
+        return question?.type || 'choice';
+    }
+
+    // Tipos de pregunta que no se responden eligiendo entre opciones
+    static hasOptions(question) {
+        return !['text', 'numeric', 'cloze'].includes(QuizEngine.getQuestionType(question));
+    }
+
+    // Claves de opción que componen una respuesta: "AC" -> ['A', 'C'], "true" -> ['true']
+    getAnswerKeys(answer, question) {
+        const type = QuizEngine.getQuestionType(question);
+        if (type === 'matching') {
+            return answer.split(',');
+        }
+        if (type !== 'choice' && type !== 'ordering') {
+            return [answer];
+        }
+        return answer.split('');
+    }
+
+    // Texto legible de una respuesta (letra y texto de la opción, o el texto del botón)
+    formatAnswerText(answer, question) {
+        const type = QuizEngine.getQuestionType(question);
+        if (type === 'text' || type === 'numeric') {
+            return answer;
+        }
+        if (type === 'cloze') {
+            return this.formatClozeText(this.parseClozeAnswer(answer) || []);
+        }
+        if (type === 'truefalse') {
+            return question.options[answer];
+        }
+        if (type === 'ordering') {
+            return this.formatOrderingText(answer.split(''), question);
+        }
+        if (type === 'matching') {
+            return this.formatMatchingText(answer.split(','), question);
+        }
+        return this.getAnswerKeys(answer, question)
+            .map(letter => `${letter}. ${question.options[letter]}`)
+            .join(', ');
+    }
+
+    // "1. Compilar → 2. Probar → 3. Publicar"
+    formatOrderingText(letters, question) {
+        return letters.map((letter, index) => `${index + 1}. ${question.options[letter]}`).join(' → ');
+    }
+
+    // "HTTP → 80, DNS → 53"
+    formatMatchingText(pairs, question) {
+        return pairs
+            .map(pair => `${question.options[pair[0]]} → ${question.matchTargets[pair.slice(1)]}`)
+            .join(', ');
+    }
+
+    // "1: capital · 2: Paris"
+    formatClozeText(values) {
+        return values.map((value, index) => `${index + 1}: ${value}`).join(' · ');
+    }
+
+    formatCorrectAnswerText(question, correctAnswerTexts) {
+        switch (QuizEngine.getQuestionType(question)) {
+            case 'truefalse':
+                return correctAnswerTexts.join(' o ');
+            case 'numeric':
+                return correctAnswerTexts[0];
+            case 'ordering':
+                return this.formatOrderingText(question.correctAnswers, question);
+            case 'matching':
+                return this.formatMatchingText(question.correctAnswers, question);
+            case 'cloze':
+                return this.formatClozeText(question.blanks.map(blank => blank.accepted.join(' o ')));
+            case 'text':
+                // Sin textos aceptados solo queda mostrar el patrón
+                return correctAnswerTexts.length > 0
+                    ? correctAnswerTexts.join(' o ')
+                    : `Patrón: \`${question.answerPattern}\``;
+            default:
+                return `${question.correctAnswers.join(', ')}. ${correctAnswerTexts.join(' o ')}`;
+        }
+    }
+
+    getEligibleQuestions() {
+        return QuizEngine.filterQuestionsByTags(this.allQuestions, this.settings.tags);
+    }
+
     selectRandomQuestions() {
-        // Crear una copia del array de preguntas para no modificar el original
-        const availableQuestions = [...this.allQuestions];
-        this.selectedQuestions = [];
+        if (this.isAdaptive()) {
+            // Modo adaptativo: solo la primera pregunta; las siguientes dependen de las respuestas
+            this.selectedQuestions = [];
+            this.userAnswers = [];
+            this.flaggedQuestions = [];
+            this.feedbackShown = [];
+            this.optionOrders = [];
+            this.weakSpotsUsed = false;
+            this.seenHistoryUsed = this.usesSeenHistory();
+            this.appendQuestion(this.pickAdaptiveQuestion());
+            
+            console.log(`Quiz adaptativo de ${this.numberOfQuestions} preguntas (semilla ${this.seed})`);
+            return;
+        }
         
-        // Seleccionar preguntas aleatorias sin repetición
-        for (let i = 0; i < this.numberOfQuestions && availableQuestions.length > 0; i++) {
-            const randomIndex = Math.floor(Math.random() * availableQuestions.length);
-            const selectedQuestion = availableQuestions.splice(randomIndex, 1)[0];
-            this.selectedQuestions.push(selectedQuestion);
+        this.weakSpotsUsed = this.settings.weakSpotFocus > 0;
+        this.seenHistoryUsed = !this.weakSpotsUsed && this.usesSeenHistory();
+        // Con reparto, el orden preferido lo calcula selectBlueprintQuestions (calcularlo aquí también
+        // gastaría números del generador de la semilla)
+        const preferredOrder = this.settings.blueprint ? null : this.getPreferredOrder(this.getEligibleQuestions());
+
+        if (this.settings.blueprint) {
+            this.selectedQuestions = this.selectBlueprintQuestions();
+        } else if (preferredOrder) {
+            this.selectedQuestions = preferredOrder.slice(0, this.numberOfQuestions);
+        } else {
+            // Crear una copia del array de preguntas (filtradas por etiquetas) para no modificar el original
+            const availableQuestions = this.getEligibleQuestions();
+            this.selectedQuestions = [];
+            
+            // Seleccionar preguntas aleatorias sin repetición
+            for (let i = 0; i < this.numberOfQuestions && availableQuestions.length > 0; i++) {
+                const randomIndex = Math.floor(this.random() * availableQuestions.length);
+                const selectedQuestion = availableQuestions.splice(randomIndex, 1)[0];
+                this.selectedQuestions.push(selectedQuestion);
+            }
         }
         
         // Inicializar array de respuestas del usuario
         this.userAnswers = new Array(this.selectedQuestions.length).fill(null);
+        this.flaggedQuestions = new Array(this.selectedQuestions.length).fill(false);
+        this.feedbackShown = new Array(this.selectedQuestions.length).fill(false);
+        this.shuffleQuestionOptions();
+        
+        console.log(`Seleccionadas ${this.selectedQuestions.length} preguntas aleatorias para el quiz (semilla ${this.seed})`);
+    }
+
+    // Preguntas que cuenta cada grupo del reparto; los porcentajes son del número de preguntas del quiz
+    // y se redondean repartiendo lo que sobra entre los de mayor fracción. Si los grupos suman más
+    // que el quiz, se reducen en proporción (queda anotado en blueprintAdjustment)
+    getBlueprintTargets() {
+        let exact = this.settings.blueprint.map(bucket => bucket.count ?? (bucket.percent / 100) * this.numberOfQuestions);
+        const requested = Math.round(exact.reduce((sum, value) => sum + value, 0));
+        if (requested > this.numberOfQuestions) {
+            exact = exact.map(value => value * this.numberOfQuestions / requested);
+            this.blueprintAdjustment = { requested, total: this.numberOfQuestions };
+            this.log('warn', `Reparto: pide ${requested} preguntas y el quiz tiene ${this.numberOfQuestions}, se reduce en proporción`);
+        }
+        const targets = exact.map(Math.floor);
+        
+        let leftover = Math.round(exact.reduce((sum, value) => sum + value, 0)) - targets.reduce((sum, value) => sum + value, 0);
+        const byFraction = exact
+            .map((value, index) => ({ index, fraction: value - targets[index] }))
+            .sort((a, b) => b.fraction - a.fraction);
+        for (const { index } of byFraction) {
+            if (leftover <= 0) break;
+            targets[index]++;
+            leftover--;
+        }
+        
+        return targets;
+    }
+
+    matchesBlueprintBucket(question, bucket) {
+        if (bucket.difficulty !== undefined) {
+            return Math.round(this.getQuestionDifficulty(question)) === bucket.difficulty;
+        }
+        return QuizEngine.getQuestionTags(question).some(tag => tag.toLowerCase() === String(bucket.tag).toLowerCase());
+    }
+
+    /**
+     * Selección según el reparto: cada grupo aporta sus preguntas (sin repetir entre grupos),
+     * lo que quede del quiz sin grupo se completa al azar y el resultado se baraja
+     * @returns {Array} - Preguntas seleccionadas
+     */
+    selectBlueprintQuestions() {
+        // Con historial, cada grupo toma las primeras del orden preferido (el orden se conserva al filtrar)
+        const preferredOrder = this.getPreferredOrder(this.getEligibleQuestions());
+        const availableQuestions = preferredOrder || this.getEligibleQuestions();
+        this.blueprintWarnings = [];
+        this.blueprintAdjustment = null;
+        const targets = this.getBlueprintTargets();
+        const selected = [];
+        
+        const draw = (pool) => {
+            const index = preferredOrder ? 0 : Math.floor(this.random() * pool.length);
+            const question = pool.splice(index, 1)[0];
+            availableQuestions.splice(availableQuestions.indexOf(question), 1);
+            selected.push(question);
+        };
+        
+        this.settings.blueprint.forEach((bucket, index) => {
+            const matching = availableQuestions.filter(question => this.matchesBlueprintBucket(question, bucket));
+            if (matching.length < targets[index]) {
+                this.blueprintWarnings.push({ label: bucket.label, requested: targets[index], available: matching.length });
+                this.log('warn', `Reparto: "${bucket.label}" pide ${targets[index]} preguntas y solo hay ${matching.length}`);
+            }
+            for (let i = 0; i < targets[index] && matching.length > 0; i++) {
+                draw(matching);
+            }
+        });
+        
+        // Resto del quiz no asignado a ningún grupo
+        const rest = this.numberOfQuestions - targets.reduce((sum, value) => sum + value, 0);
+        for (let i = 0; i < rest && availableQuestions.length > 0; i++) {
+            draw([...availableQuestions]);
+        }
+        
+        // Los grupos no van en bloques
+        return this.shuffle(selected);
+    }
+
+    // Fisher–Yates con el generador de la semilla (baraja el array recibido)
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    // Orden en que conviene tomar las preguntas según el historial (null = sin preferencia, al azar)
+    getPreferredOrder(questions) {
+        if (this.weakSpotsUsed) {
+            return this.orderByWeakness(questions);
+        }
+        if (this.seenHistoryUsed) {
+            return this.orderBySeen(questions);
+        }
+        return null;
+    }
+
+    /**
+     * Peso de una pregunta al enfocar los puntos débiles: crece con su tasa de fallos (errorRate)
+     * y con el tiempo sin responderla (lastAnswered), que anota la app con el historial
+     * @param {Object} question - Pregunta
+     * @param {number} now - Hora actual en ms
+     * @returns {number} - Peso (1 = el de cualquier pregunta sin enfoque)
+     */
+    getWeaknessWeight(question, now = Date.now()) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        // Sin respuestas previas: tasa de fallos media y sin respuesta reciente
+        const errorRate = question.errorRate ?? 0.5;
+        const staleness = question.lastAnswered ? Math.min(1, (now - question.lastAnswered) / (14 * dayMs)) : 1;
+        return 1 + this.settings.weakSpotFocus * (3 * errorRate + staleness);
+    }
+
+    // Muestreo ponderado sin reemplazo (Efraimidis–Spirakis): clave u^(1/peso), de mayor a menor
+    orderByWeakness(questions) {
+        const now = Date.now();
+        return questions
+            .map(question => ({ question, key: Math.pow(this.random(), 1 / this.getWeaknessWeight(question, now)) }))
+            .sort((a, b) => b.key - a.key)
+            .map(entry => entry.question);
+    }
+
+    // Sin semilla indicada, las preguntas ya vistas (lastSeen, que anota la app) pasan al final
+    usesSeenHistory() {
+        return !this.isSeedGiven && this.getEligibleQuestions().some(question => question.lastSeen);
+    }
+
+    // Primero las no vistas y después las vistas hace más días; dentro de cada grupo decide la semilla
+    orderBySeen(questions) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const seenDay = question => question.lastSeen ? Math.floor(question.lastSeen / dayMs) : -1;
+        return this.shuffle([...questions]).sort((a, b) => seenDay(a) - seenDay(b));
+    }
+
+    // Baraja (con la misma semilla) las opciones de las preguntas de opción múltiple
+    shuffleQuestionOptions() {
+        this.optionOrders = this.selectedQuestions.map(question => this.getOptionOrder(question));
+    }
+
+    getOptionOrder(question) {
+        if (!this.settings.shuffleOptions || QuizEngine.getQuestionType(question) !== 'choice') {
+            return null;
+        }
+        
+        const order = this.shuffle(Object.keys(question.options || {}));
+        return order.length > 1 ? order : null;
+    }
+
+    // Generador para barajar en pantalla los elementos de una pregunta (ordenar, relacionar): depende solo
+    // de la semilla y de la pregunta, así que repetir la semilla o volver a la pregunta da el mismo orden
+    getDisplayRandom(questionIndex) {
+        const question = this.selectedQuestions[questionIndex];
+        return QuizEngine.createRandom(`${this.seed}:${question ? QuizEngine.getQuestionKey(question) : questionIndex}`);
+    }
+
+    // Solo la primera ronda es adaptativa; las de repaso repiten una lista fija de falladas
+    isAdaptive() {
+        return this.settings.mode === 'adaptive' && this.round === 1;
+    }
+
+    // Número de preguntas del quiz (en modo adaptativo se eligen sobre la marcha)
+    getQuizLength() {
+        return this.isAdaptive() ? this.numberOfQuestions : this.selectedQuestions.length;
+    }
+
+    // Dificultad de 1 (fácil) a 5 (difícil): la declarada en el archivo, la estimada con el historial o 3
+    getQuestionDifficulty(question) {
+        return question.difficulty ?? question.estimatedDifficulty ?? 3;
+    }
+
+    /**
+     * Nivel estimado (1-5) tras las preguntas mostradas hasta lastIndex, al estilo Elo/Rasch:
+     * acertar una pregunta difícil sube más que acertar una fácil, y fallar una fácil baja más.
+     * El paso se reduce con cada respuesta: las primeras mueven mucho el nivel y las últimas lo afinan
+     * @param {number} lastIndex - Última pregunta que cuenta (sin responder cuenta como fallo)
+     * @returns {number} - Nivel entre difficultyRange.min y difficultyRange.max
+     */
+    estimateAbility(lastIndex = this.selectedQuestions.length - 1) {
+        const { min, max } = this.validationRules.difficultyRange;
+        let ability = (min + max) / 2;
+        
+        for (let i = 0; i <= lastIndex && i < this.selectedQuestions.length; i++) {
+            const difficulty = this.getQuestionDifficulty(this.selectedQuestions[i]);
+            const expected = 1 / (1 + Math.exp(difficulty - ability));
+            const step = 1.5 / Math.sqrt(i + 1);
+            ability += step * (this.getAnswerCredit(i, this.userAnswers[i]) - expected);
+            ability = Math.min(max, Math.max(min, ability));
+        }
+        
+        return ability;
+    }
+
+    // Siguiente pregunta adaptativa: una de las no mostradas con la dificultad más cercana al nivel actual
+    pickAdaptiveQuestion() {
+        const shown = new Set(this.selectedQuestions);
+        const remaining = this.getEligibleQuestions().filter(question => !shown.has(question));
+        if (remaining.length === 0) {
+            return null;
+        }
+        
+        const ability = this.estimateAbility();
+        const distance = question => Math.abs(this.getQuestionDifficulty(question) - ability);
+        const closest = Math.min(...remaining.map(distance));
+        // Entre las casi igual de cercanas decide la semilla
+        const candidates = remaining.filter(question => distance(question) - closest < 0.25);
+        return this.seenHistoryUsed
+            ? this.orderBySeen(candidates)[0]
+            : candidates[Math.floor(this.random() * candidates.length)];
+    }
+
+    appendQuestion(question) {
+        this.selectedQuestions.push(question);
+        this.userAnswers.push(null);
+        this.flaggedQuestions.push(false);
+        this.feedbackShown.push(false);
+        this.optionOrders.push(this.getOptionOrder(question));
+    }
+
+    // Pregunta tal como se muestra: las letras A, B, C... se asignan a las opciones en el orden barajado
+    getPresentedQuestion(questionIndex) {
+        const question = this.selectedQuestions[questionIndex];
+        const order = this.optionOrders[questionIndex];
+        if (!question || !order) {
+            return question;
+        }
+        
+        const letters = Object.keys(question.options);
+        return {
+            ...question,
+            options: Object.fromEntries(letters.map((letter, i) => [letter, question.options[order[i]]])),
+            correctAnswers: question.correctAnswers.map(answer => letters[order.indexOf(answer)]).sort()
+        };
+    }
+
+    // Letras mostradas -> letras originales (las respuestas se guardan y puntúan con las originales)
+    toOriginalAnswer(questionIndex, answer) {
+        const order = this.optionOrders[questionIndex];
+        if (!order || !answer) {
+            return answer;
+        }
+        
+        const letters = Object.keys(this.selectedQuestions[questionIndex].options);
+        return [...answer].map(letter => order[letters.indexOf(letter)] ?? letter).sort().join('');
+    }
+
+    toPresentedAnswer(questionIndex, answer) {
+        const order = this.optionOrders[questionIndex];
+        if (!order || !answer) {
+            return answer;
+        }
         
-        console.log(`Seleccionadas ${this.selectedQuestions.length} preguntas aleatorias para el quiz`);
+        const letters = Object.keys(this.selectedQuestions[questionIndex].options);
+        return [...answer].map(letter => letters[order.indexOf(letter)] ?? letter).sort().join('');
     }
 
     getCurrentQuestion() {
@@ -60,16 +616,31 @@ class QuizEngine {
         }
         
         return {
-            question: this.selectedQuestions[this.currentIndex],
+            question: this.getPresentedQuestion(this.currentIndex),
             questionNumber: this.currentIndex + 1,
-            totalQuestions: this.selectedQuestions.length,
-            isLast: this.currentIndex === this.selectedQuestions.length - 1
+            totalQuestions: this.getQuizLength(),
+            isLast: this.currentIndex === this.getQuizLength() - 1,
+            round: this.round,
+            // Respuesta ya guardada y marca de revisión (al volver a una pregunta en modo examen)
+            userAnswer: this.toPresentedAnswer(this.currentIndex, this.userAnswers[this.currentIndex]) ?? null,
+            isFlagged: Boolean(this.flaggedQuestions[this.currentIndex]),
+            random: this.getDisplayRandom(this.currentIndex)
         };
     }
 
     nextQuestion() {
+        // Modo adaptativo: la siguiente pregunta se elige con el nivel mostrado hasta ahora
+        if (this.isAdaptive() && this.currentIndex === this.selectedQuestions.length - 1
+            && this.selectedQuestions.length < this.numberOfQuestions) {
+            const question = this.pickAdaptiveQuestion();
+            if (question) {
+                this.appendQuestion(question);
+            }
+        }
+        
         if (this.currentIndex < this.selectedQuestions.length - 1) {
             this.currentIndex++;
+            this.questionStartTime = Date.now();
             return this.getCurrentQuestion();
         }
         
@@ -85,11 +656,171 @@ class QuizEngine {
     previousQuestion() {
         if (this.currentIndex > 0) {
             this.currentIndex--;
+            this.questionStartTime = Date.now();
             return this.getCurrentQuestion();
         }
         return null;
     }
 
+    // Navegación libre entre preguntas (modo examen)
+    goToQuestion(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.selectedQuestions.length) {
+            throw new Error(`Índice de pregunta fuera de rango: ${index}/${this.selectedQuestions.length}`);
+        }
+        
+        this.currentIndex = index;
+        this.questionStartTime = Date.now();
+        return this.getCurrentQuestion();
+    }
+
+    toggleFlag(index = this.currentIndex) {
+        if (index < 0 || index >= this.selectedQuestions.length) {
+            throw new Error(`Índice de pregunta fuera de rango: ${index}/${this.selectedQuestions.length}`);
+        }
+        
+        this.flaggedQuestions[index] = !this.flaggedQuestions[index];
+        return this.flaggedQuestions[index];
+    }
+
+    // Borra la respuesta guardada (p. ej. si el usuario vacía el campo antes de cambiar de pregunta)
+    clearAnswer(index = this.currentIndex) {
+        this.validateQuizState();
+        this.userAnswers[index] = null;
+    }
+
+    // Estado de cada pregunta para la cuadrícula de resumen del examen
+    getQuestionOverview() {
+        return this.selectedQuestions.map((question, index) => ({
+            index,
+            questionNumber: index + 1,
+            isAnswered: this.userAnswers[index] !== null && this.userAnswers[index] !== undefined,
+            isFlagged: Boolean(this.flaggedQuestions[index]),
+            isCurrent: index === this.currentIndex
+        }));
+    }
+
+    getUnansweredCount() {
+        return this.getQuestionOverview().filter(item => !item.isAnswered).length;
+    }
+
+    // Modos que corrigen cada respuesta al momento
+    hasImmediateFeedback() {
+        return this.settings.mode === 'practice' || this.settings.mode === 'study';
+    }
+
+    // Corrección inmediata de la respuesta guardada (modo práctica); queda registrado que se vio
+    getAnswerFeedback(questionIndex = this.currentIndex) {
+        const question = this.selectedQuestions[questionIndex];
+        const userAnswer = this.userAnswers[questionIndex];
+        if (!question || !userAnswer) {
+            throw new Error('No hay respuesta que corregir para esta pregunta');
+        }
+        
+        this.feedbackShown[questionIndex] = true;
+        
+        // Letras tal como se mostraron
+        const presented = this.getPresentedQuestion(questionIndex);
+        const correctAnswerTexts = presented.correctAnswers.map(ans => presented.options[ans] ?? ans);
+        return {
+            questionIndex,
+            isCorrect: this.isAnswerCorrect(questionIndex, userAnswer),
+            credit: this.getAnswerCredit(questionIndex, userAnswer),
+            userAnswer: this.toPresentedAnswer(questionIndex, userAnswer),
+            correctAnswers: presented.correctAnswers,
+            correctAnswerText: this.formatCorrectAnswerText(presented, correctAnswerTexts),
+            explanation: question.explanation || null,
+            isLast: questionIndex === this.selectedQuestions.length - 1
+        };
+    }
+
+    // Entrega explícita del examen: solo entonces se puntúa
+    submitExam() {
+        this.validateQuizState();
+        
+        this.isCompleted = true;
+        this.endTime = new Date();
+        
+        this.log('info', 'Examen entregado', {
+            answered: this.selectedQuestions.length - this.getUnansweredCount(),
+            unanswered: this.getUnansweredCount(),
+            flagged: this.flaggedQuestions.filter(Boolean).length
+        });
+        
+        return this.getResults();
+    }
+
+    hasTimeLimit() {
+        return Boolean(this.settings.timeLimit || this.settings.questionTimeLimit);
+    }
+
+    // Pone en marcha los relojes al mostrar la primera pregunta
+    startClock(now = Date.now()) {
+        if (this.startTime === null) {
+            this.startTime = new Date(now);
+        }
+        // Un quiz reanudado conserva el tiempo ya gastado en la pregunta
+        if (this.questionStartTime === null) {
+            this.questionStartTime = now;
+        }
+    }
+
+    // Estado de los relojes calculado con la hora real (sigue siendo correcto tras cambiar de pestaña)
+    getTimeStatus(now = Date.now()) {
+        if (!this.hasTimeLimit() || this.startTime === null || this.isCompleted) {
+            return null;
+        }
+        
+        const clocks = [];
+        if (this.settings.timeLimit) {
+            const elapsed = (now - this.startTime.getTime()) / 1000;
+            clocks.push({ scope: 'total', limit: this.settings.timeLimit, remaining: this.settings.timeLimit - elapsed });
+        }
+        if (this.settings.questionTimeLimit && this.questionStartTime !== null) {
+            const elapsed = (now - this.questionStartTime) / 1000;
+            clocks.push({ scope: 'question', limit: this.settings.questionTimeLimit, remaining: this.settings.questionTimeLimit - elapsed });
+        }
+        
+        // Manda el reloj que se agota antes
+        const clock = clocks.reduce((first, other) => other.remaining < first.remaining ? other : first);
+        const remaining = Math.max(0, Math.ceil(clock.remaining));
+        const warningAt = this.settings.timeWarning ?? Math.min(60, Math.ceil(clock.limit * 0.2));
+        
+        return {
+            scope: clock.scope,
+            remaining,
+            totalRemaining: this.settings.timeLimit
+                ? Math.max(0, Math.ceil(clocks.find(c => c.scope === 'total').remaining))
+                : null,
+            questionRemaining: clocks.some(c => c.scope === 'question')
+                ? Math.max(0, Math.ceil(clocks.find(c => c.scope === 'question').remaining))
+                : null,
+            isWarning: remaining > 0 && remaining <= warningAt,
+            isExpired: clock.remaining <= 0
+        };
+    }
+
+    // Tiempo agotado: la pregunta se queda sin responder y se pasa a la siguiente,
+    // o el quiz termina si se agotó el tiempo total
+    handleTimeExpired(scope) {
+        if (this.isCompleted) {
+            return null;
+        }
+        
+        if (scope === 'total') {
+            this.isCompleted = true;
+            this.timeExpired = true;
+            this.endTime = new Date();
+            this.log('info', 'Tiempo total agotado, quiz finalizado', {
+                answered: this.userAnswers.filter(answer => answer !== null).length,
+                total: this.selectedQuestions.length
+            });
+            return null;
+        }
+        
+        this.log('info', `Tiempo agotado para la pregunta ${this.currentIndex + 1}`);
+        return this.nextQuestion();
+    }
+
     submitAnswer(selectedAnswer) {
         const submissionContext = {
             questionIndex: this.currentIndex,
@@ -115,16 +846,16 @@ class QuizEngine {
             }
             
             // Validate answer format
-            this.validateAnswerFormat(selectedAnswer);
+            const currentQuestion = this.selectedQuestions[this.currentIndex];
+            this.validateAnswerFormat(selectedAnswer, currentQuestion);
             
             // Validar que la respuesta sea válida para la pregunta actual
-            const currentQuestion = this.selectedQuestions[this.currentIndex];
             this.validateAnswerForQuestion(selectedAnswer, currentQuestion);
             
-            // Guardar la respuesta del usuario
-            this.userAnswers[this.currentIndex] = selectedAnswer;
+            // Guardar la respuesta del usuario (con las letras originales si las opciones están barajadas)
+            this.userAnswers[this.currentIndex] = this.toOriginalAnswer(this.currentIndex, selectedAnswer);
             
-            const isCorrect = this.isAnswerCorrect(this.currentIndex, selectedAnswer);
+            const isCorrect = this.isAnswerCorrect(this.currentIndex, this.userAnswers[this.currentIndex]);
             
             this.log('info', `Respuesta procesada para pregunta ${this.currentIndex + 1}`, {
                 answer: selectedAnswer,
@@ -137,6 +868,8 @@ class QuizEngine {
                 answer: selectedAnswer,
                 isCorrect: isCorrect,
                 questionId: currentQuestion.id,
+                correctAnswers: this.getPresentedQuestion(this.currentIndex).correctAnswers,
+                explanation: currentQuestion.explanation || null,
                 timestamp: new Date().toISOString()
             };
             
@@ -156,35 +889,318 @@ class QuizEngine {
         
         const question = this.selectedQuestions[questionIndex];
         
-        // Handle multiple selection answers (e.g., "AB", "ACD")
-        if (userAnswer.length > 1) {
-            const userAnswerArray = userAnswer.split('').sort();
-            const correctAnswerArray = question.correctAnswers.sort();
+        switch (QuizEngine.getQuestionType(question)) {
+            case 'text':
+                return this.isTextAnswerCorrect(question, userAnswer);
+            case 'numeric':
+                return this.isNumericAnswerCorrect(question, userAnswer);
+            case 'ordering':
+                return userAnswer === question.correctAnswers.join('');
+            case 'matching':
+                return this.getMatchingPairs(question, userAnswer).every(pair => pair.isCorrect);
+            case 'cloze':
+                return this.getClozeBlanks(question, userAnswer).every(blank => blank.isCorrect);
+        }
+        
+        // Selection answers (e.g., "B", "AB", "ACD") must match the full set of correct answers
+        const userAnswerArray = [...new Set(this.getAnswerKeys(userAnswer, question))].sort();
+        const correctAnswerArray = [...question.correctAnswers].sort();
+        
+        return userAnswerArray.length === correctAnswerArray.length &&
+               userAnswerArray.every((answer, index) => answer === correctAnswerArray[index]);
+    }
+
+    // Compara una respuesta escrita con los textos aceptados y/o el patrón de la pregunta
+    isTextAnswerCorrect(question, userAnswer) {
+        const matching = { ...this.settings.textMatching, ...(question.matching || {}) };
+        const answer = this.normalizeTextAnswer(userAnswer, matching);
+        
+        if (question.answerPattern) {
+            const regex = new RegExp(question.answerPattern, matching.caseSensitive ? '' : 'i');
+            const candidates = [userAnswer.trim(), answer];
+            if (candidates.some(candidate => regex.test(candidate))) {
+                return true;
+            }
+        }
+        
+        return (question.correctAnswers || []).some(accepted => {
+            const expected = this.normalizeTextAnswer(accepted, matching);
+            if (answer === expected) {
+                return true;
+            }
             
-            // Check if arrays are equal
-            return userAnswerArray.length === correctAnswerArray.length &&
-                   userAnswerArray.every((answer, index) => answer === correctAnswerArray[index]);
+            // Las respuestas cortas deben ser exactas: como mucho un error cada 4 caracteres
+            const allowedTypos = Math.min(matching.typoTolerance, Math.floor(expected.length / 4));
+            return allowedTypos > 0 && this.getEditDistance(answer, expected, allowedTypos) <= allowedTypos;
+        });
+    }
+
+    // Compara una respuesta numérica con el valor esperado dentro de la tolerancia
+    isNumericAnswerCorrect(question, userAnswer) {
+        const deviation = this.getNumericDeviation(question, userAnswer);
+        if (!deviation || !deviation.unitMatches) {
+            return false;
+        }
+        
+        const { value, tolerance, relative } = question.numericAnswer;
+        const allowed = relative ? Math.abs(value) * tolerance / 100 : tolerance;
+        // Margen mínimo para errores de redondeo en coma flotante
+        const epsilon = Math.max(Math.abs(value), 1) * 1e-9;
+        return Math.abs(deviation.difference) <= allowed + epsilon;
+    }
+
+    // Diferencia entre la respuesta y el valor esperado (null si la respuesta no es un número)
+    getNumericDeviation(question, userAnswer) {
+        const parsed = this.parseNumericAnswer(userAnswer);
+        if (!parsed || !question.numericAnswer) {
+            return null;
+        }
+        
+        const expected = question.numericAnswer;
+        const difference = parsed.value - expected.value;
+        const normalizeUnit = unit => (unit || '').replace(/\s+/g, '');
+        
+        return {
+            difference,
+            relativeDifference: expected.value !== 0 ? (difference / Math.abs(expected.value)) * 100 : null,
+            unit: expected.unit,
+            // Sin unidad en la respuesta se asume la esperada
+            unitMatches: !parsed.unit || !expected.unit || normalizeUnit(parsed.unit) === normalizeUnit(expected.unit)
+        };
+    }
+
+    // "3,5 m/s" -> { value: 3.5, unit: 'm/s' }; acepta coma o punto decimal
+    parseNumericAnswer(text) {
+        const match = /^\s*([+-]?(?:\d[\d.,]*|[.,]\d+)(?:[eE][+-]?\d+)?)\s*(.*?)\s*$/.exec(String(text));
+        if (!match) {
+            return null;
         }
         
-        // Handle single selection
-        return question.correctAnswers.includes(userAnswer);
+        let number = match[1];
+        const lastComma = number.lastIndexOf(',');
+        const lastDot = number.lastIndexOf('.');
+        if (lastComma !== -1 && lastDot !== -1) {
+            // El último separador es el decimal; el otro agrupa miles
+            number = number.split(lastComma > lastDot ? '.' : ',').join('');
+        } else if ((number.match(/[.,]/g) || []).length > 1) {
+            number = number.replace(/[.,]/g, '');
+        }
+        
+        const value = Number(number.replace(',', '.'));
+        return Number.isFinite(value) ? { value, unit: match[2] || null } : null;
+    }
+
+    normalizeTextAnswer(text, matching) {
+        let normalized = String(text);
+        if (matching.normalizeWhitespace) {
+            normalized = normalized.trim().replace(/\s+/g, ' ');
+        }
+        if (matching.ignoreAccents) {
+            normalized = normalized.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        }
+        if (!matching.caseSensitive) {
+            normalized = normalized.toLocaleLowerCase();
+        }
+        return normalized;
+    }
+
+    // Distancia de Levenshtein; se detiene en cuanto supera el máximo
+    getEditDistance(a, b, max = Infinity) {
+        if (Math.abs(a.length - b.length) > max) {
+            return max + 1;
+        }
+        
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) {
+                return max + 1;
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Crédito de una respuesta entre 0 y 1 (parcial solo en preguntas que lo admiten)
+    getAnswerCredit(questionIndex, userAnswer) {
+        if (!userAnswer || questionIndex >= this.selectedQuestions.length) {
+            return 0;
+        }
+        
+        if (this.isAnswerCorrect(questionIndex, userAnswer)) {
+            return 1;
+        }
+        
+        const question = this.selectedQuestions[questionIndex];
+        if (QuizEngine.getQuestionType(question) === 'choice') {
+            return this.getChoiceCredit(question, userAnswer);
+        }
+        if (!this.isPartialCreditEnabled(question)) {
+            return 0;
+        }
+        
+        switch (QuizEngine.getQuestionType(question)) {
+            case 'ordering': {
+                const { inPlace, total } = this.getOrderingPositions(question, userAnswer);
+                return inPlace / total;
+            }
+            case 'matching': {
+                const pairs = this.getMatchingPairs(question, userAnswer);
+                return pairs.filter(pair => pair.isCorrect).length / pairs.length;
+            }
+            case 'cloze': {
+                const blanks = this.getClozeBlanks(question, userAnswer);
+                return blanks.filter(blank => blank.isCorrect).length / blanks.length;
+            }
+            default:
+                return 0;
+        }
+    }
+
+    // Crédito de una selección según la política de puntuación del quiz:
+    // - all-or-nothing: solo la selección exacta puntúa
+    // - proportional: aciertos / max(respuestas correctas, opciones marcadas), marcar de más resta
+    // - right-minus-wrong: (aciertos - errores) / respuestas correctas, nunca por debajo de 0
+    getChoiceCredit(question, userAnswer) {
+        const selected = [...new Set(this.getAnswerKeys(userAnswer, question))];
+        const right = selected.filter(key => question.correctAnswers.includes(key)).length;
+        const wrong = selected.length - right;
+        const total = question.correctAnswers.length;
+        
+        switch (this.settings.scoringPolicy) {
+            case 'proportional':
+                return right / Math.max(total, selected.length);
+            case 'right-minus-wrong':
+                return Math.max(0, (right - wrong) / total);
+            default:
+                return right === total && wrong === 0 ? 1 : 0;
+        }
+    }
+
+    // Peso de la pregunta ("Points: 3" en el archivo)
+    getQuestionPoints(question) {
+        return question.points ?? 1;
+    }
+
+    // Puntos obtenidos en una pregunta: crédito × peso, menos la penalización si no obtuvo crédito
+    getQuestionScore(questionIndex, userAnswer) {
+        const maxPoints = this.getQuestionPoints(this.selectedQuestions[questionIndex]);
+        const credit = this.getAnswerCredit(questionIndex, userAnswer);
+        const isPenalized = credit === 0 && (Boolean(userAnswer) || this.settings.penalizeSkipped);
+        const penalty = isPenalized ? this.settings.wrongAnswerPenalty * maxPoints : 0;
+        
+        return { points: credit * maxPoints - penalty, maxPoints, penalty };
+    }
+
+    isPartialCreditEnabled(question) {
+        // Emparejar y huecos puntúan por pareja/hueco salvo que se desactive; ordenar solo si se activa
+        const typeDefault = ['matching', 'cloze'].includes(QuizEngine.getQuestionType(question));
+        return question.partialCredit ?? this.settings.partialCredit ?? typeDefault;
+    }
+
+    parseClozeAnswer(answer) {
+        try {
+            const values = JSON.parse(answer);
+            return Array.isArray(values) ? values : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Respuesta de cada hueco comparada con las aceptadas (como una respuesta escrita)
+    getClozeBlanks(question, userAnswer) {
+        const values = this.parseClozeAnswer(userAnswer) || [];
+        
+        return question.blanks.map((blank, index) => {
+            const given = typeof values[index] === 'string' && values[index].trim() ? values[index] : null;
+            const isCorrect = given !== null && (blank.choices
+                ? blank.accepted.includes(given)
+                : this.isTextAnswerCorrect({ correctAnswers: blank.accepted, matching: question.matching }, given));
+            return { index: index + 1, given, expected: blank.accepted.join(' o '), isCorrect };
+        });
+    }
+
+    // Parejas esperadas frente a las elegidas por el usuario
+    getMatchingPairs(question, userAnswer) {
+        const given = {};
+        for (const pair of (userAnswer || '').split(',')) {
+            if (pair) {
+                given[pair[0]] = pair.slice(1);
+            }
+        }
+        
+        return question.correctAnswers.map(pair => {
+            const letter = pair[0];
+            const expected = pair.slice(1);
+            const chosen = given[letter] || null;
+            return {
+                letter,
+                item: question.options[letter],
+                expected: question.matchTargets[expected],
+                given: chosen ? question.matchTargets[chosen] : null,
+                // Dos destinos con el mismo texto cuentan como iguales
+                isCorrect: chosen !== null && question.matchTargets[chosen] === question.matchTargets[expected]
+            };
+        });
+    }
+
+    // Elementos que quedaron en su posición correcta
+    getOrderingPositions(question, userAnswer) {
+        const expected = question.correctAnswers;
+        const inPlace = expected.filter((letter, index) => userAnswer[index] === letter).length;
+        return { inPlace, total: expected.length };
     }
 
     calculateScore() {
         let correctCount = 0;
+        let earnedCredit = 0;
+        let points = 0;
+        let maxPoints = 0;
+        let penaltyPoints = 0;
+        // Los huecos se puntúan uno a uno
+        let blankCount = 0;
+        let correctBlankCount = 0;
         
         for (let i = 0; i < this.selectedQuestions.length; i++) {
             const userAnswer = this.userAnswers[i];
             if (userAnswer && this.isAnswerCorrect(i, userAnswer)) {
                 correctCount++;
             }
+            earnedCredit += this.getAnswerCredit(i, userAnswer);
+            
+            const questionScore = this.getQuestionScore(i, userAnswer);
+            points += questionScore.points;
+            maxPoints += questionScore.maxPoints;
+            penaltyPoints += questionScore.penalty;
+            
+            const question = this.selectedQuestions[i];
+            if (QuizEngine.getQuestionType(question) === 'cloze') {
+                const blanks = this.getClozeBlanks(question, userAnswer);
+                blankCount += blanks.length;
+                correctBlankCount += blanks.filter(blank => blank.isCorrect).length;
+            }
         }
         
-        const score = Math.round((correctCount / this.selectedQuestions.length) * 100);
+        // Con penalizaciones el total puede ser negativo; el porcentaje no baja de 0
+        const score = maxPoints > 0 ? Math.max(0, Math.round((points / maxPoints) * 100)) : 0;
         
         return {
             score: score,
             correctCount: correctCount,
+            earnedCredit: earnedCredit,
+            // Puntos ponderados (con decimales) sobre el total posible
+            points: Math.round(points * 100) / 100,
+            maxPoints: Math.round(maxPoints * 100) / 100,
+            penaltyPoints: Math.round(penaltyPoints * 100) / 100,
+            scoringPolicy: this.settings.scoringPolicy,
+            blankCount: blankCount,
+            correctBlankCount: correctBlankCount,
             totalQuestions: this.selectedQuestions.length,
             percentage: score
         };
@@ -200,32 +1216,52 @@ class QuizEngine {
         
         // Generar detalles por pregunta
         for (let i = 0; i < this.selectedQuestions.length; i++) {
-            const question = this.selectedQuestions[i];
-            const userAnswer = this.userAnswers[i];
-            const isCorrect = userAnswer ? this.isAnswerCorrect(i, userAnswer) : false;
+            const originalAnswer = this.userAnswers[i];
+            const isCorrect = originalAnswer ? this.isAnswerCorrect(i, originalAnswer) : false;
+            
+            const questionScore = this.getQuestionScore(i, originalAnswer);
+            
+            // Los detalles usan las letras tal como se mostraron (opciones barajadas)
+            const question = this.getPresentedQuestion(i);
+            const userAnswer = this.toPresentedAnswer(i, originalAnswer);
             
             // Handle multiple selection answer text
-            let userAnswerText = 'Sin respuesta';
-            if (userAnswer) {
-                if (userAnswer.length > 1) {
-                    // Multiple selection - combine all selected option texts
-                    userAnswerText = userAnswer.split('').map(letter => 
-                        `${letter}. ${question.options[letter]}`
-                    ).join(', ');
-                } else {
-                    // Single selection
-                    userAnswerText = `${userAnswer}. ${question.options[userAnswer]}`;
-                }
-            }
+            const userAnswerText = userAnswer ? this.formatAnswerText(userAnswer, question) : 'Sin respuesta';
+            
+            // Texto de la respuesta correcta ("A, C. texto o texto" / "Verdadero")
+            const correctAnswerTexts = question.correctAnswers.map(ans => question.options[ans] ?? ans);
+            const correctAnswerText = this.formatCorrectAnswerText(question, correctAnswerTexts);
             
             details.push({
                 questionNumber: i + 1,
                 question: question,
+                difficulty: this.getQuestionDifficulty(question),
                 userAnswer: userAnswer,
                 correctAnswers: question.correctAnswers,
                 isCorrect: isCorrect,
+                questionType: QuizEngine.getQuestionType(question),
                 userAnswerText: userAnswerText,
-                correctAnswerTexts: question.correctAnswers.map(ans => question.options[ans])
+                correctAnswerTexts: correctAnswerTexts,
+                correctAnswerText: correctAnswerText,
+                explanation: question.explanation || null,
+                isFlagged: Boolean(this.flaggedQuestions[i]),
+                feedbackShown: Boolean(this.feedbackShown[i]),
+                credit: this.getAnswerCredit(i, originalAnswer),
+                points: questionScore.points,
+                maxPoints: questionScore.maxPoints,
+                penalty: questionScore.penalty,
+                numericDeviation: userAnswer && QuizEngine.getQuestionType(question) === 'numeric'
+                    ? this.getNumericDeviation(question, userAnswer)
+                    : null,
+                orderingPositions: userAnswer && QuizEngine.getQuestionType(question) === 'ordering'
+                    ? this.getOrderingPositions(question, userAnswer)
+                    : null,
+                matchingPairs: userAnswer && QuizEngine.getQuestionType(question) === 'matching'
+                    ? this.getMatchingPairs(question, userAnswer)
+                    : null,
+                clozeBlanks: userAnswer && QuizEngine.getQuestionType(question) === 'cloze'
+                    ? this.getClozeBlanks(question, userAnswer)
+                    : null
             });
         }
         
@@ -238,33 +1274,171 @@ class QuizEngine {
             correctCount: scoreData.correctCount,
             totalQuestions: scoreData.totalQuestions,
             percentage: scoreData.percentage,
+            earnedCredit: scoreData.earnedCredit,
+            points: scoreData.points,
+            maxPoints: scoreData.maxPoints,
+            penaltyPoints: scoreData.penaltyPoints,
+            scoringPolicy: scoreData.scoringPolicy,
+            blankCount: scoreData.blankCount,
+            correctBlankCount: scoreData.correctBlankCount,
+            passingScore: this.settings.passingScore,
+            passed: scoreData.score >= this.settings.passingScore,
             details: details,
             duration: duration,
             startTime: this.startTime,
-            endTime: this.endTime
+            endTime: this.endTime,
+            timeExpired: this.timeExpired,
+            mode: this.settings.mode,
+            // Nivel estimado (1-5) en modo adaptativo, además de la puntuación
+            ability: this.settings.mode === 'adaptive' ? Math.round(this.estimateAbility() * 10) / 10 : null,
+            seed: this.seed,
+            // Con el historial (vistas o puntos débiles) la semilla sola no repite la selección
+            seedReplayable: !this.seenHistoryUsed && !this.weakSpotsUsed,
+            shuffleOptions: this.settings.shuffleOptions,
+            // Respuestas corregidas al momento: distingue un intento de práctica de uno de examen
+            feedbackShownCount: this.feedbackShown.filter(Boolean).length,
+            incorrectCount: details.filter(detail => !detail.isCorrect).length,
+            round: this.round,
+            rounds: [...this.roundHistory, {
+                round: this.round,
+                totalQuestions: scoreData.totalQuestions,
+                correctCount: scoreData.correctCount,
+                score: scoreData.score
+            }]
+        };
+    }
+
+    // Nueva ronda solo con las preguntas falladas o sin responder de la ronda terminada
+    retryIncorrect() {
+        const results = this.getResults();
+        const missedQuestions = results.details
+            .filter(detail => !detail.isCorrect)
+            .map(detail => this.selectedQuestions[detail.questionNumber - 1]);
+        
+        if (missedQuestions.length === 0) {
+            throw new Error('No hay preguntas falladas que repetir');
+        }
+        
+        this.roundHistory = results.rounds;
+        this.round++;
+        this.selectedQuestions = missedQuestions;
+        this.shuffleQuestionOptions();
+        this.restart();
+        
+        this.log('info', `Ronda ${this.round}: repitiendo ${missedQuestions.length} preguntas falladas`);
+        return missedQuestions.length;
+    }
+
+    // Estado serializable del quiz en curso (para guardarlo y reanudarlo tras recargar la página)
+    serializeState(now = Date.now()) {
+        return {
+            version: 2,
+            // Por contenido y no por id: el id es el número del título y se repite entre secciones
+            questionKeys: this.selectedQuestions.map(question => QuizEngine.getQuestionKey(question)),
+            // En modo adaptativo quedan preguntas por elegir
+            numberOfQuestions: this.getQuizLength(),
+            currentIndex: this.currentIndex,
+            userAnswers: [...this.userAnswers],
+            flaggedQuestions: [...this.flaggedQuestions],
+            feedbackShown: [...this.feedbackShown],
+            optionOrders: this.optionOrders.map(order => order ? [...order] : null),
+            // Relojes como tiempo transcurrido: el tiempo con la página cerrada no cuenta
+            elapsedMs: this.startTime !== null ? now - this.startTime.getTime() : null,
+            questionElapsedMs: this.questionStartTime !== null ? now - this.questionStartTime : null,
+            seed: this.seed,
+            seenHistoryUsed: this.seenHistoryUsed,
+            weakSpotsUsed: this.weakSpotsUsed,
+            round: this.round,
+            roundHistory: this.roundHistory,
+            settings: this.settings
         };
     }
 
+    restoreState(state, now = Date.now()) {
+        if (!state || state.version !== 2 || !Array.isArray(state.questionKeys) || state.questionKeys.length === 0) {
+            throw new Error('Estado del quiz guardado no válido');
+        }
+        
+        // Cada clave toma una pregunta aún sin usar, así dos preguntas iguales siguen siendo dos
+        const unused = [...this.allQuestions];
+        const questions = state.questionKeys.map(key => {
+            const index = unused.findIndex(question => QuizEngine.getQuestionKey(question) === key);
+            return index === -1 ? null : unused.splice(index, 1)[0];
+        });
+        if (questions.some(question => !question)) {
+            throw new Error('Las preguntas del quiz guardado ya no están en el archivo');
+        }
+        if (!Number.isInteger(state.currentIndex) || state.currentIndex < 0 || state.currentIndex >= questions.length) {
+            throw new Error(`Pregunta actual fuera de rango en el quiz guardado: ${state.currentIndex}`);
+        }
+        
+        this.selectedQuestions = questions;
+        this.currentIndex = state.currentIndex;
+        this.userAnswers = questions.map((_, i) => state.userAnswers?.[i] ?? null);
+        this.flaggedQuestions = questions.map((_, i) => Boolean(state.flaggedQuestions?.[i]));
+        this.feedbackShown = questions.map((_, i) => Boolean(state.feedbackShown?.[i]));
+        // Solo se conserva un orden barajado que siga siendo una permutación de las opciones
+        this.optionOrders = questions.map((question, i) => {
+            const order = state.optionOrders?.[i];
+            const letters = Object.keys(question.options || {});
+            return Array.isArray(order) && order.length === letters.length && letters.every(letter => order.includes(letter))
+                ? [...order]
+                : null;
+        });
+        
+        this.setSeed(state.seed);
+        this.seenHistoryUsed = Boolean(state.seenHistoryUsed);
+        this.weakSpotsUsed = Boolean(state.weakSpotsUsed);
+        this.startTime = typeof state.elapsedMs === 'number' ? new Date(now - state.elapsedMs) : null;
+        this.questionStartTime = typeof state.questionElapsedMs === 'number' ? now - state.questionElapsedMs : null;
+        this.endTime = null;
+        this.isCompleted = false;
+        this.timeExpired = false;
+        this.round = state.round || 1;
+        this.roundHistory = Array.isArray(state.roundHistory) ? state.roundHistory : [];
+        
+        this.log('info', `Quiz reanudado en la pregunta ${this.currentIndex + 1} de ${questions.length}`);
+    }
+
+    // Nuevo motor con el quiz guardado por serializeState
+    static fromState(questions, state) {
+        const engine = new QuizEngine(questions, state?.numberOfQuestions || state?.questionKeys?.length || 1, {
+            ...state?.settings,
+            seed: state?.seed
+        });
+        engine.restoreState(state);
+        return engine;
+    }
+
     // Método para reiniciar el quiz con las mismas preguntas
     restart() {
         this.currentIndex = 0;
         this.userAnswers = new Array(this.selectedQuestions.length).fill(null);
+        this.flaggedQuestions = new Array(this.selectedQuestions.length).fill(false);
+        this.feedbackShown = new Array(this.selectedQuestions.length).fill(false);
         this.startTime = null;
         this.endTime = null;
         this.isCompleted = false;
+        this.questionStartTime = null;
+        this.timeExpired = false;
     }
 
-    // Método para iniciar un nuevo quiz con preguntas diferentes
-    startNewQuiz(numberOfQuestions = null) {
+    // Método para iniciar un nuevo quiz con preguntas diferentes (y una semilla nueva si no se indica)
+    startNewQuiz(numberOfQuestions = null, seed = null) {
         if (numberOfQuestions !== null) {
-            this.numberOfQuestions = Math.min(numberOfQuestions, this.allQuestions.length);
+            this.numberOfQuestions = Math.min(numberOfQuestions, this.getEligibleQuestions().length);
         }
         
         this.currentIndex = 0;
         this.startTime = null;
         this.endTime = null;
         this.isCompleted = false;
+        this.questionStartTime = null;
+        this.timeExpired = false;
+        this.round = 1;
+        this.roundHistory = [];
         
+        this.setSeed(seed);
         this.selectRandomQuestions();
     }
 
@@ -272,8 +1446,8 @@ class QuizEngine {
     get progress() {
         return {
             current: this.currentIndex + 1,
-            total: this.selectedQuestions.length,
-            percentage: Math.round(((this.currentIndex + 1) / this.selectedQuestions.length) * 100)
+            total: this.getQuizLength(),
+            percentage: Math.round(((this.currentIndex + 1) / this.getQuizLength()) * 100)
         };
     }
 
@@ -282,7 +1456,7 @@ class QuizEngine {
     }
 
     get questionsRemaining() {
-        return this.selectedQuestions.length - this.currentIndex - 1;
+        return this.getQuizLength() - this.currentIndex - 1;
     }
 
     // Método para obtener estadísticas del quiz actual
@@ -361,9 +1535,11 @@ class QuizEngine {
             errors.push('Contenido de pregunta faltante o inválido');
         }
         
+        const type = QuizEngine.getQuestionType(question);
+        
         if (!question.options || typeof question.options !== 'object') {
             errors.push('Opciones de pregunta faltantes o inválidas');
-        } else {
+        } else if (QuizEngine.hasOptions(question)) {
             const optionCount = Object.keys(question.options).length;
             if (optionCount < 2) {
                 errors.push(`Muy pocas opciones: ${optionCount} (mínimo 2)`);
@@ -372,10 +1548,19 @@ class QuizEngine {
         
         if (!question.correctAnswers || !Array.isArray(question.correctAnswers)) {
             errors.push('Respuestas correctas faltantes o inválidas');
-        } else if (question.correctAnswers.length === 0) {
+        } else if (question.correctAnswers.length === 0 && !(type === 'text' && question.answerPattern)) {
             errors.push('No hay respuestas correctas definidas');
         }
         
+        if (question.points !== undefined && !(typeof question.points === 'number' && question.points > 0)) {
+            errors.push(`Puntos de pregunta inválidos: ${question.points}`);
+        }
+        
+        const { min, max } = this.validationRules.difficultyRange;
+        if (question.difficulty !== undefined && !(typeof question.difficulty === 'number' && question.difficulty >= min && question.difficulty <= max)) {
+            errors.push(`Dificultad de pregunta inválida: ${question.difficulty}`);
+        }
+        
         return {
             isValid: errors.length === 0,
             errors
@@ -392,7 +1577,7 @@ class QuizEngine {
         }
     }
 
-    validateAnswerFormat(answer) {
+    validateAnswerFormat(answer, question = null) {
         if (!answer || typeof answer !== 'string') {
             throw new Error('Formato de respuesta inválido: debe ser una cadena de texto');
         }
@@ -401,8 +1586,62 @@ class QuizEngine {
             throw new Error('Respuesta vacía no permitida');
         }
         
-        if (answer.length > this.validationRules.maxAnswerLength) {
-            throw new Error(`Respuesta muy larga: ${answer.length} caracteres (máximo ${this.validationRules.maxAnswerLength})`);
+        const type = question ? QuizEngine.getQuestionType(question) : 'choice';
+        const maxAnswerLength = this.validationRules.maxAnswerLength[type] ?? this.validationRules.maxAnswerLength.choice;
+        if (answer.length > maxAnswerLength) {
+            throw new Error(`Respuesta muy larga: ${answer.length} caracteres (máximo ${maxAnswerLength})`);
+        }
+        
+        // Huecos: lista JSON con un texto por hueco
+        if (type === 'cloze') {
+            const values = this.parseClozeAnswer(answer);
+            if (!values || values.some(value => typeof value !== 'string')) {
+                throw new Error('Formato de respuesta inválido: se esperaba una lista con la respuesta de cada hueco');
+            }
+            if (values.some(value => value.length > this.validationRules.maxAnswerLength.text)) {
+                throw new Error(`Respuesta de hueco muy larga (máximo ${this.validationRules.maxAnswerLength.text})`);
+            }
+            return;
+        }
+        
+        // Respuesta numérica: un número, opcionalmente con unidad
+        if (type === 'numeric') {
+            if (!this.parseNumericAnswer(answer)) {
+                throw new Error(`Respuesta numérica inválida: "${answer}". Se esperaba un número (ej. 42, 3,14 o 3.1e8)`);
+            }
+            return;
+        }
+        
+        // Respuesta escrita: cualquier texto no vacío
+        if (type === 'text') {
+            if (answer.trim().length === 0) {
+                throw new Error('Respuesta vacía no permitida');
+            }
+            return;
+        }
+        
+        // Emparejar: parejas letra-número separadas por comas (A1,B3,C2)
+        if (type === 'matching') {
+            if (!/^[A-Z]\d+(?:,[A-Z]\d+)*$/.test(answer)) {
+                throw new Error(`Formato de respuesta inválido: "${answer}". Se esperaban parejas como A1,B3,C2`);
+            }
+            return;
+        }
+        
+        // Ordenar: cada letra una sola vez
+        if (type === 'ordering') {
+            if (!/^[A-Z]+$/.test(answer) || new Set(answer).size !== answer.length) {
+                throw new Error(`Formato de respuesta inválido: "${answer}". Se esperaba cada letra una sola vez (ej. CAB)`);
+            }
+            return;
+        }
+        
+        // Verdadero/falso: solo se aceptan los valores de los dos botones
+        if (type === 'truefalse') {
+            if (answer !== 'true' && answer !== 'false') {
+                throw new Error(`Formato de respuesta inválido: "${answer}". Se esperaba "true" o "false"`);
+            }
+            return;
         }
         
         // Allow single letter (A, B, C) or multiple letters (AB, ACD) for multiple selection
@@ -416,23 +1655,55 @@ class QuizEngine {
             throw new Error('Pregunta actual no disponible');
         }
         
+        // Huecos de lista: el valor debe ser una de sus opciones
+        if (QuizEngine.getQuestionType(question) === 'cloze') {
+            const values = this.parseClozeAnswer(answer);
+            if (values.length !== question.blanks.length) {
+                throw new Error(`Número de huecos incorrecto: ${values.length} (se esperaban ${question.blanks.length})`);
+            }
+            question.blanks.forEach((blank, index) => {
+                if (blank.choices && !blank.choices.includes(values[index])) {
+                    throw new Error(`Respuesta "${values[index]}" no es válida para el hueco ${index + 1}`);
+                }
+            });
+            return;
+        }
+        
+        // Las respuestas escritas y numéricas no se eligen entre opciones
+        if (!QuizEngine.hasOptions(question)) {
+            return;
+        }
+        
         if (!question.options) {
             throw new Error('Opciones de pregunta no disponibles');
         }
         
-        // For multiple selection, validate each letter individually
-        if (answer.length > 1) {
-            for (const letter of answer) {
-                if (!question.options[letter]) {
-                    const availableOptions = Object.keys(question.options).join(', ');
-                    throw new Error(`Respuesta "${letter}" no es válida para esta pregunta. Opciones disponibles: ${availableOptions}`);
+        // Emparejar: cada elemento una vez y con un destino existente
+        if (QuizEngine.getQuestionType(question) === 'matching') {
+            const pairs = answer.split(',');
+            const letters = pairs.map(pair => pair[0]);
+            const missing = Object.keys(question.options).filter(letter => !letters.includes(letter));
+            if (missing.length > 0 || new Set(letters).size !== letters.length) {
+                throw new Error(`Parejas incompletas o repetidas: faltan ${missing.join(', ') || 'ninguno'}`);
+            }
+            for (const pair of pairs) {
+                if (!question.options[pair[0]] || !question.matchTargets?.[pair.slice(1)]) {
+                    throw new Error(`Pareja "${pair}" no es válida para esta pregunta`);
                 }
             }
-        } else {
-            // Single selection validation
-            if (!question.options[answer]) {
+            return;
+        }
+        
+        // Ordenar: deben estar todos los elementos
+        if (QuizEngine.getQuestionType(question) === 'ordering' && answer.length !== Object.keys(question.options).length) {
+            throw new Error(`Orden incompleto: ${answer.length} de ${Object.keys(question.options).length} elementos`);
+        }
+        
+        // For multiple selection, validate each letter individually
+        for (const key of this.getAnswerKeys(answer, question)) {
+            if (!question.options[key]) {
                 const availableOptions = Object.keys(question.options).join(', ');
-                throw new Error(`Respuesta "${answer}" no es válida para esta pregunta. Opciones disponibles: ${availableOptions}`);
+                throw new Error(`Respuesta "${key}" no es válida para esta pregunta. Opciones disponibles: ${availableOptions}`);
             }
         }
     }
@@ -482,6 +1753,7 @@ class QuizEngine {
     getEngineStats() {
         return {
             totalQuestions: this.allQuestions.length,
+            eligibleQuestions: this.getEligibleQuestions().length,
             selectedQuestions: this.selectedQuestions.length,
             currentIndex: this.currentIndex,
             answersProvided: this.userAnswers.filter(a => a !== null).length,
@@ -489,7 +1761,8 @@ class QuizEngine {
             errors: this.engineErrors.length,
             warnings: this.validationWarnings.length,
             startTime: this.startTime,
-            endTime: this.endTime
+            endTime: this.endTime,
+            settings: { ...this.settings }
         };
     }
 }
\ No newline at end of file
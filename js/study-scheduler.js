@@ -0,0 +1,107 @@
+/**
+ * StudyScheduler - Repaso espaciado con cajas de Leitner para el modo estudio
+ * Cada pregunta se sigue por una clave sacada de su contenido (QuizEngine.getQuestionKey),
+ * así que renumerar o reordenar el archivo no pierde el progreso. Los registros son objetos
+ * planos que la aplicación guarda en localStorage, un juego por archivo de quiz
+ */
+class StudyScheduler {
+    constructor(records = {}, options = {}) {
+        this.records = { ...records };
+
+        // Días hasta el siguiente repaso en cada caja; la última caja es "dominada"
+        this.intervals = options.intervals || [1, 2, 4, 8, 16];
+        this.dayMs = 24 * 60 * 60 * 1000;
+    }
+
+    get maxBox() {
+        return this.intervals.length;
+    }
+
+    startOfDay(now = Date.now()) {
+        const date = new Date(now);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+
+    getRecord(question) {
+        return this.records[QuizEngine.getQuestionKey(question)] || null;
+    }
+
+    /**
+     * @param {Object} question - Pregunta parseada
+     * @param {number} now - Hora actual en ms
+     * @returns {string} - "new", "due", "mastered" o "learning"
+     */
+    getStatus(question, now = Date.now()) {
+        const record = this.getRecord(question);
+        if (!record) return 'new';
+        if (record.due <= this.startOfDay(now)) return 'due';
+        return record.box >= this.maxBox ? 'mastered' : 'learning';
+    }
+
+    /**
+     * Cuenta las preguntas por estado
+     * @param {Array} questions - Preguntas a resumir
+     * @param {number} now - Hora actual en ms
+     * @returns {{due: number, new: number, mastered: number, learning: number, total: number}}
+     */
+    getSummary(questions, now = Date.now()) {
+        const summary = { due: 0, new: 0, mastered: 0, learning: 0, total: questions.length };
+        for (const question of questions) {
+            summary[this.getStatus(question, now)]++;
+        }
+        return summary;
+    }
+
+    /**
+     * Preguntas de una sesión de estudio: primero las pendientes (las más atrasadas y, a igualdad,
+     * las de caja más baja) y luego las nuevas en el orden del archivo
+     * @param {Array} questions - Preguntas candidatas
+     * @param {number} count - Tamaño máximo de la sesión
+     * @param {number} now - Hora actual en ms
+     * @returns {Array} - Preguntas seleccionadas
+     */
+    buildSession(questions, count, now = Date.now()) {
+        const due = questions
+            .filter(question => this.getStatus(question, now) === 'due')
+            .sort((a, b) => {
+                const recordA = this.getRecord(a);
+                const recordB = this.getRecord(b);
+                return recordA.due - recordB.due || recordA.box - recordB.box;
+            });
+        const fresh = questions.filter(question => this.getStatus(question, now) === 'new');
+
+        return [...due, ...fresh].slice(0, count);
+    }
+
+    /**
+     * Sube la pregunta una caja si se acertó y la devuelve a la primera si se falló
+     * @param {Object} question - Pregunta parseada
+     * @param {boolean} isCorrect - Si la respuesta fue correcta
+     * @param {number} now - Hora actual en ms
+     * @returns {Object} - Registro actualizado
+     */
+    recordReview(question, isCorrect, now = Date.now()) {
+        const key = QuizEngine.getQuestionKey(question);
+        const previous = this.records[key] || { box: 0, reviews: 0, lapses: 0 };
+        const box = isCorrect ? Math.min(this.maxBox, previous.box + 1) : 1;
+
+        this.records[key] = {
+            box,
+            due: this.startOfDay(now) + this.intervals[box - 1] * this.dayMs,
+            lastReviewed: now,
+            reviews: previous.reviews + 1,
+            lapses: previous.lapses + (isCorrect ? 0 : 1)
+        };
+        return this.records[key];
+    }
+
+    toJSON() {
+        return this.records;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StudyScheduler;
+}
@@ -0,0 +1,165 @@
+/**
+ * SyntaxHighlighter - Small built-in highlighter for code blocks in quiz content
+ * Supports JavaScript, Python, SQL and shell. Produces <span> nodes with
+ * hl-* classes; code text is always inserted through text nodes
+ */
+class SyntaxHighlighter {
+    constructor() {
+        // Language aliases used in fenced code blocks (```js, ```py...)
+        this.aliases = {
+            js: 'javascript',
+            javascript: 'javascript',
+            jsx: 'javascript',
+            ts: 'javascript',
+            typescript: 'javascript',
+            node: 'javascript',
+            py: 'python',
+            python: 'python',
+            python3: 'python',
+            sql: 'sql',
+            mysql: 'sql',
+            postgresql: 'sql',
+            psql: 'sql',
+            sh: 'shell',
+            bash: 'shell',
+            shell: 'shell',
+            zsh: 'shell',
+            console: 'shell'
+        };
+
+        // Token rules per language; order matters (first alternative wins)
+        this.languages = {
+            javascript: [
+                { type: 'comment', pattern: /\/\/[^\n]*|\/\*[\s\S]*?\*\// },
+                { type: 'string', pattern: /`(?:\\[\s\S]|[^\\`])*`|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/ },
+                { type: 'keyword', pattern: this.words('async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield') },
+                { type: 'literal', pattern: this.words('true false null undefined NaN Infinity') },
+                { type: 'number', pattern: /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)n?\b/ },
+                { type: 'function', pattern: /\b[A-Za-z_$][\w$]*(?=\s*\()/ }
+            ],
+            python: [
+                { type: 'comment', pattern: /#[^\n]*/ },
+                { type: 'string', pattern: /[rbfuRBFU]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*')/ },
+                { type: 'keyword', pattern: this.words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield') },
+                { type: 'literal', pattern: this.words('True False None') },
+                { type: 'number', pattern: /\b(?:0[xXoObB][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?j?)\b/ },
+                { type: 'function', pattern: /\b[A-Za-z_]\w*(?=\s*\()/ }
+            ],
+            sql: [
+                { type: 'comment', pattern: /--[^\n]*|\/\*[\s\S]*?\*\// },
+                { type: 'string', pattern: /'(?:''|[^'])*'|"(?:""|[^"])*"/ },
+                { type: 'keyword', pattern: this.words('select from where and or not insert into values update set delete create alter drop table view index primary key foreign references join inner left right full outer cross on as group by order having limit offset distinct union all exists in is like between case when then else end asc desc default constraint unique check begin commit rollback transaction grant revoke', 'i') },
+                { type: 'literal', pattern: this.words('null true false', 'i') },
+                { type: 'number', pattern: /\b\d+(?:\.\d+)?\b/ },
+                { type: 'function', pattern: /\b[A-Za-z_]\w*(?=\s*\()/ }
+            ],
+            shell: [
+                { type: 'comment', pattern: /(?:^|(?<=\s))#[^\n]*/ },
+                { type: 'string', pattern: /"(?:\\[\s\S]|[^\\"])*"|'[^']*'/ },
+                { type: 'variable', pattern: /\$(?:\{[^}\n]*\}|\w+|[@#?$!*0-9])/ },
+                { type: 'keyword', pattern: this.words('if then else elif fi for while until do done case esac in function select return exit export local readonly source alias unset') },
+                { type: 'builtin', pattern: this.words('echo cd ls pwd cat grep sed awk curl wget chmod chown mkdir rm cp mv touch sudo apt brew npm npx bun git docker kubectl ssh scp tar find xargs kill ps') },
+                { type: 'number', pattern: /\b\d+\b/ }
+            ]
+        };
+
+        this.compiled = {};
+    }
+
+    words(list, flags = '') {
+        return new RegExp(`\\b(?:${list.split(' ').join('|')})\\b`, flags);
+    }
+
+    /**
+     * Resolve a fence language tag to a supported language
+     * @param {string} language - Tag from the code fence (e.g. "js", "bash")
+     * @returns {string|null} - Canonical language name or null if unsupported
+     */
+    resolveLanguage(language) {
+        if (!language) return null;
+        return this.aliases[String(language).toLowerCase()] || null;
+    }
+
+    isSupported(language) {
+        return this.resolveLanguage(language) !== null;
+    }
+
+    getTokenRegex(language) {
+        if (!this.compiled[language]) {
+            const rules = this.languages[language];
+            const caseInsensitive = rules.some(rule => rule.pattern.flags.includes('i'));
+            const source = rules.map(rule => `(${rule.pattern.source})`).join('|');
+            this.compiled[language] = new RegExp(source, caseInsensitive ? 'gim' : 'gm');
+        }
+        return this.compiled[language];
+    }
+
+    /**
+     * Split code into typed tokens
+     * @param {string} code - Source code
+     * @param {string} language - Fence language tag
+     * @returns {Array<{type: string|null, text: string}>} - Tokens (type null for plain text)
+     */
+    tokenize(code, language) {
+        const resolved = this.resolveLanguage(language);
+        if (!resolved) {
+            return [{ type: null, text: code }];
+        }
+
+        const rules = this.languages[resolved];
+        const regex = this.getTokenRegex(resolved);
+        const tokens = [];
+        let lastIndex = 0;
+        let match;
+
+        regex.lastIndex = 0;
+        while ((match = regex.exec(code)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+
+            if (match.index > lastIndex) {
+                tokens.push({ type: null, text: code.slice(lastIndex, match.index) });
+            }
+
+            const ruleIndex = match.slice(1).findIndex(group => group !== undefined);
+            tokens.push({ type: rules[ruleIndex].type, text: match[0] });
+            lastIndex = regex.lastIndex;
+        }
+
+        if (lastIndex < code.length) {
+            tokens.push({ type: null, text: code.slice(lastIndex) });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Highlight code into DOM nodes
+     * @param {string} code - Source code
+     * @param {string} language - Fence language tag
+     * @returns {DocumentFragment} - Text nodes and hl-* spans
+     */
+    highlight(code, language) {
+        const fragment = document.createDocumentFragment();
+
+        for (const token of this.tokenize(code, language)) {
+            if (token.type) {
+                const span = document.createElement('span');
+                span.className = `hl-${token.type}`;
+                span.textContent = token.text;
+                fragment.appendChild(span);
+            } else {
+                fragment.appendChild(document.createTextNode(token.text));
+            }
+        }
+
+        return fragment;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyntaxHighlighter;
+}
@@ -4,6 +4,16 @@
  */
 class UIController {
     constructor() {
+        // Header elements
+        this.appTitle = document.getElementById('app-title');
+        this.appSubtitle = document.getElementById('app-subtitle');
+        this.defaultHeader = {
+            title: this.appTitle?.textContent || '',
+            subtitle: this.appSubtitle?.textContent || '',
+            documentTitle: document.title,
+            language: document.documentElement.lang
+        };
+        
         // Screen elements
         this.configScreen = document.getElementById('config-screen');
         this.quizScreen = document.getElementById('quiz-screen');
@@ -13,8 +23,24 @@ class UIController {
         this.quizFilenameInput = document.getElementById('quiz-filename');
         this.loadQuestionsBtn = document.getElementById('load-questions-btn');
         this.questionCountInput = document.getElementById('question-count');
+        this.scoringPolicySelect = document.getElementById('scoring-policy');
+        this.quizModeSelect = document.getElementById('quiz-mode');
+        this.studySummary = document.getElementById('study-summary');
+        this.shuffleOptionsSelect = document.getElementById('shuffle-options');
+        this.weakSpotFocusSelect = document.getElementById('weak-spot-focus');
+        this.quizSeedInput = document.getElementById('quiz-seed');
+        this.quizBlueprintInput = document.getElementById('quiz-blueprint');
         this.fileStatusDiv = document.getElementById('file-status');
         this.startQuizBtn = document.getElementById('start-quiz-btn');
+        this.tagFilterSection = document.getElementById('tag-filter-section');
+        this.tagFilterContainer = document.getElementById('tag-filter');
+        this.resumeSession = document.getElementById('resume-session');
+        this.resumeSessionText = document.getElementById('resume-session-text');
+        this.resumeQuizBtn = document.getElementById('resume-quiz-btn');
+        this.discardSessionBtn = document.getElementById('discard-session-btn');
+        this.seenCoverage = document.getElementById('seen-coverage');
+        this.seenCoverageText = document.getElementById('seen-coverage-text');
+        this.resetSeenBtn = document.getElementById('reset-seen-btn');
         
 
         
@@ -24,13 +50,30 @@ class UIController {
         this.progressText = document.getElementById('progress-text');
         this.questionTitle = document.getElementById('question-title');
         this.questionContent = document.getElementById('question-content');
+        this.quizTimer = document.getElementById('quiz-timer');
+        this.timerNotice = document.getElementById('timer-notice');
         this.optionsContainer = document.getElementById('options-container');
         this.nextQuestionBtn = document.getElementById('next-question-btn');
+        this.answerFeedback = document.getElementById('answer-feedback');
+        
+        // Exam mode elements
+        this.standardControls = document.getElementById('standard-controls');
+        this.examControls = document.getElementById('exam-controls');
+        this.prevQuestionBtn = document.getElementById('prev-question-btn');
+        this.flagQuestionBtn = document.getElementById('flag-question-btn');
+        this.examNextBtn = document.getElementById('exam-next-btn');
+        this.submitExamBtn = document.getElementById('submit-exam-btn');
+        this.examOverview = document.getElementById('exam-overview');
+        this.examOverviewGrid = document.getElementById('exam-overview-grid');
         
         // Results elements
         this.scoreDisplay = document.getElementById('score-display');
         this.scoreText = document.getElementById('score-text');
         this.resultsList = document.getElementById('results-list');
+        this.roundSummary = document.getElementById('round-summary');
+        this.resultsSeed = document.getElementById('results-seed');
+        this.resultsAbility = document.getElementById('results-ability');
+        this.retryIncorrectBtn = document.getElementById('retry-incorrect-btn');
         this.newQuizBtn = document.getElementById('new-quiz-btn');
         this.backConfigBtn = document.getElementById('back-config-btn');
         
@@ -39,9 +82,28 @@ class UIController {
         this.selectedAnswer = null;
         this.selectedAnswers = [];
         this.isMultipleSelection = false;
+        this.currentQuestion = null;
+        this.currentQuestionNumber = 0;
+        this.itemRandom = null;
+        this.quizMode = 'standard';
+        this.awaitingFeedback = false;
+        this.draggedOrderingItem = null;
+        this.maxTextAnswerLength = 200;
+        this.maxNumericAnswerLength = 50;
+        this.scoringPolicyLabels = {
+            'all-or-nothing': 'todo o nada',
+            'proportional': 'proporcional',
+            'right-minus-wrong': 'aciertos menos errores'
+        };
         this.totalQuestionsAvailable = 0;
+        this.quizMetadata = {};
         this.saveConfigTimeout = null;
         this.configStatusTimeout = null;
+        this.timerNoticeTimeout = null;
+        this.timerWarningKey = null;
+        
+        // Safe Markdown rendering for quiz content
+        this.markdownRenderer = new MarkdownRenderer();
         
         this.initializeEventListeners();
     }
@@ -56,6 +118,18 @@ class UIController {
             this.startQuizBtn.addEventListener('click', () => this.onStartQuiz());
         }
         
+        if (this.resumeQuizBtn) {
+            this.resumeQuizBtn.addEventListener('click', () => this.onResumeQuiz());
+        }
+        
+        if (this.discardSessionBtn) {
+            this.discardSessionBtn.addEventListener('click', () => this.onDiscardSavedQuiz());
+        }
+        
+        if (this.resetSeenBtn) {
+            this.resetSeenBtn.addEventListener('click', () => this.onResetSeenHistory());
+        }
+        
         if (this.quizFilenameInput) {
             this.quizFilenameInput.addEventListener('input', () => this.onFilenameChange());
         }
@@ -64,12 +138,65 @@ class UIController {
             this.questionCountInput.addEventListener('input', () => this.onQuestionCountChange());
         }
         
+        if (this.tagFilterContainer) {
+            this.tagFilterContainer.addEventListener('change', () => this.onTagFilterChange());
+        }
+        
+        if (this.scoringPolicySelect) {
+            this.scoringPolicySelect.addEventListener('change', () => this.saveConfiguration());
+        }
+        
+        if (this.quizModeSelect) {
+            this.quizModeSelect.addEventListener('change', () => {
+                this.saveConfiguration();
+                this.updateStudySummaryVisibility();
+            });
+        }
+        
+        if (this.shuffleOptionsSelect) {
+            this.shuffleOptionsSelect.addEventListener('change', () => this.saveConfiguration());
+        }
+        
+        if (this.weakSpotFocusSelect) {
+            this.weakSpotFocusSelect.addEventListener('change', () => this.saveConfiguration());
+        }
+        
         // Quiz screen events
         if (this.nextQuestionBtn) {
             this.nextQuestionBtn.addEventListener('click', () => this.onNextQuestion());
         }
         
+        // Exam mode events
+        if (this.prevQuestionBtn) {
+            this.prevQuestionBtn.addEventListener('click', () => this.onExamNavigate(this.currentQuestionNumber - 2));
+        }
+        
+        if (this.examNextBtn) {
+            this.examNextBtn.addEventListener('click', () => this.onExamNavigate(this.currentQuestionNumber));
+        }
+        
+        if (this.flagQuestionBtn) {
+            this.flagQuestionBtn.addEventListener('click', () => this.onFlagToggle());
+        }
+        
+        if (this.submitExamBtn) {
+            this.submitExamBtn.addEventListener('click', () => this.onSubmitExam());
+        }
+        
+        if (this.examOverviewGrid) {
+            this.examOverviewGrid.addEventListener('click', (e) => {
+                const item = e.target.closest('.overview-item');
+                if (item) {
+                    this.onExamNavigate(Number(item.dataset.index));
+                }
+            });
+        }
+        
         // Results screen events
+        if (this.retryIncorrectBtn) {
+            this.retryIncorrectBtn.addEventListener('click', () => this.onRetryIncorrect());
+        }
+        
         if (this.newQuizBtn) {
             this.newQuizBtn.addEventListener('click', () => this.onNewQuiz());
         }
@@ -87,6 +214,9 @@ class UIController {
                 }
             });
         }
+        
+        // Keyboard shortcuts for answering
+        document.addEventListener('keydown', (e) => this.onQuizKeydown(e));
     }
 
     // Screen Navigation Methods
@@ -165,7 +295,7 @@ class UIController {
             case 'loading':
                 this.fileStatusDiv.innerHTML = `
                     <div class="loading-spinner"></div>
-                    <p>${message}</p>
+                    <p>${this.escapeHtml(message)}</p>
                 `;
                 this.startQuizBtn.disabled = true;
                 break;
@@ -174,8 +304,9 @@ class UIController {
                 this.totalQuestionsAvailable = questionsCount;
                 this.fileStatusDiv.innerHTML = `
                     <div style="color: #27ae60; font-size: 1.2rem; margin-bottom: 0.5rem;">✓</div>
-                    <p>${message}</p>
+                    <p>${this.escapeHtml(message)}</p>
                     <small>${questionsCount} preguntas disponibles</small>
+                    ${this.describeQuizSettings()}
                 `;
                 this.startQuizBtn.disabled = false;
                 
@@ -184,12 +315,15 @@ class UIController {
                 
                 // Reload configuration now that we know the total questions available
                 this.loadConfiguration();
+                
+                // The quiz file's own default question count takes precedence
+                this.applyMetadataDefaults();
                 break;
                 
             case 'error':
                 this.fileStatusDiv.innerHTML = `
                     <div style="color: #e74c3c; font-size: 1.2rem; margin-bottom: 0.5rem;">✗</div>
-                    <p style="color: #e74c3c;">${message}</p>
+                    <p style="color: #e74c3c;">${this.escapeHtml(message)}</p>
                 `;
                 this.startQuizBtn.disabled = true;
                 break;
@@ -197,6 +331,7 @@ class UIController {
     }
 
     updateQuestionCountLimits() {
+        // totalQuestionsAvailable is the pool after the tag filter, not the whole file
         if (!this.questionCountInput || this.totalQuestionsAvailable === 0) return;
         
         this.questionCountInput.max = this.totalQuestionsAvailable;
@@ -225,6 +360,213 @@ class UIController {
         }
     }
 
+    applyQuizMetadata(metadata = {}) {
+        this.quizMetadata = metadata || {};
+        
+        const title = this.quizMetadata.title || this.defaultHeader.title;
+        const subtitleParts = [this.quizMetadata.description || this.defaultHeader.subtitle];
+        if (this.quizMetadata.author) {
+            subtitleParts.push(`Autor: ${this.quizMetadata.author}`);
+        }
+        
+        if (this.appTitle) {
+            this.appTitle.textContent = title;
+        }
+        if (this.appSubtitle) {
+            this.appSubtitle.textContent = subtitleParts.join(' · ');
+        }
+        
+        document.title = this.quizMetadata.title
+            ? `${this.quizMetadata.title} - QNA`
+            : this.defaultHeader.documentTitle;
+        document.documentElement.lang = this.quizMetadata.language || this.defaultHeader.language;
+        
+        // The file's blueprint shows through until one is written
+        if (this.quizBlueprintInput) {
+            this.quizBlueprintInput.placeholder = this.quizMetadata.blueprint
+                ? this.formatBlueprint(this.quizMetadata.blueprint)
+                : 'Todas al azar';
+        }
+    }
+
+    // [{label: 'redes', count: 5}, {label: 'seguridad', percent: 30}] -> "redes: 5, seguridad: 30%"
+    formatBlueprint(blueprint) {
+        return blueprint
+            .map(bucket => `${bucket.label}: ${bucket.count ?? `${bucket.percent}%`}`)
+            .join(', ');
+    }
+
+    applyMetadataDefaults() {
+        if (!this.questionCountInput || !this.quizMetadata.questionCount) return;
+        
+        const questionCount = Math.min(this.quizMetadata.questionCount, this.totalQuestionsAvailable || this.quizMetadata.questionCount);
+        this.questionCountInput.value = questionCount;
+        console.log(`Número de preguntas definido por el archivo: ${questionCount}`);
+    }
+
+    // How many questions of the loaded file (and selected tags) have already been shown
+    setSeenCoverage(coverage) {
+        if (!this.seenCoverage) return;
+        
+        this.seenCoverage.classList.toggle('hidden', !coverage || coverage.total === 0);
+        if (!coverage) return;
+        
+        if (this.seenCoverageText) {
+            this.seenCoverageText.textContent = `Preguntas vistas: ${coverage.seen} de ${coverage.total}`;
+        }
+        this.resetSeenBtn?.classList.toggle('hidden', coverage.seen === 0);
+    }
+
+    // Study mode: questions due today, new and mastered for the loaded file (and selected tags)
+    setStudySummary(summary) {
+        if (!this.studySummary) return;
+        
+        const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        this.studySummary.textContent = summary
+            ? `Repaso espaciado: ${summary.due} para hoy · ${count(summary.new, 'nueva')} · ${count(summary.mastered, 'dominada')}`
+            : '';
+        this.updateStudySummaryVisibility();
+    }
+
+    updateStudySummaryVisibility() {
+        if (!this.studySummary) return;
+        
+        const mode = this.getQuizMode() || this.quizMetadata.mode;
+        this.studySummary.classList.toggle('hidden', mode !== 'study' || !this.studySummary.textContent);
+    }
+
+    // Unfinished quiz saved for the loaded file (null hides the offer)
+    showResumeOption(session) {
+        if (!this.resumeSession) return;
+        
+        this.resumeSession.classList.toggle('hidden', !session);
+        if (!session || !this.resumeSessionText) return;
+        
+        const modeLabels = { exam: ' (examen)', practice: ' (práctica)', study: ' (estudio)', adaptive: ' (adaptativo)' };
+        const savedAt = new Date(session.savedAt);
+        const when = isNaN(savedAt) ? '' : `, guardado el ${savedAt.toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' })}`;
+        this.resumeSessionText.textContent = `Tienes un quiz sin terminar de ${session.filename}${modeLabels[session.mode] || ''}: `
+            + `pregunta ${session.questionNumber} de ${session.totalQuestions}, `
+            + `${session.answeredCount} ${session.answeredCount === 1 ? 'respondida' : 'respondidas'}${when}.`;
+    }
+
+    describeQuizSettings() {
+        const parts = [];
+        
+        if (this.quizMetadata.passingScore !== undefined) {
+            parts.push(`Aprobación: ${this.quizMetadata.passingScore}%`);
+        }
+        if (this.quizMetadata.timeLimit) {
+            parts.push(`Tiempo límite: ${this.formatDuration(this.quizMetadata.timeLimit)}`);
+        }
+        if (this.quizMetadata.questionTimeLimit) {
+            parts.push(`Por pregunta: ${this.formatDuration(this.quizMetadata.questionTimeLimit)}`);
+        }
+        if (this.quizMetadata.mode === 'exam') {
+            parts.push('Modo examen');
+        } else if (this.quizMetadata.mode === 'practice') {
+            parts.push('Modo práctica');
+        } else if (this.quizMetadata.mode === 'study') {
+            parts.push('Modo estudio');
+        } else if (this.quizMetadata.mode === 'adaptive') {
+            parts.push('Modo adaptativo');
+        }
+        if (this.quizMetadata.scoringPolicy) {
+            parts.push(`Puntuación: ${this.scoringPolicyLabels[this.quizMetadata.scoringPolicy]}`);
+        }
+        if (this.quizMetadata.shuffleOptions) {
+            parts.push('Opciones barajadas');
+        }
+        if (this.quizMetadata.seed) {
+            parts.push(`Semilla: ${this.quizMetadata.seed}`);
+        }
+        if (this.quizMetadata.blueprint) {
+            parts.push(`Reparto: ${this.formatBlueprint(this.quizMetadata.blueprint)}`);
+        }
+        if (this.quizMetadata.weakSpotFocus) {
+            const focusLabels = { 0.5: 'suave', 1: 'normal', 2: 'fuerte' };
+            parts.push(`Puntos débiles: ${focusLabels[this.quizMetadata.weakSpotFocus] || `×${this.quizMetadata.weakSpotFocus}`}`);
+        }
+        if (this.quizMetadata.wrongAnswerPenalty) {
+            const penalty = Math.round(this.quizMetadata.wrongAnswerPenalty * 100);
+            parts.push(`Penalización por error: ${penalty}% de la pregunta${this.quizMetadata.penalizeSkipped ? ' (también sin responder)' : ''}`);
+        }
+        
+        return parts.length > 0
+            ? `<small class="quiz-settings">${this.escapeHtml(parts.join(' · '))}</small>`
+            : '';
+    }
+
+    // Reloj de la cuenta atrás: "4:05" o "1:02:03"
+    formatClock(totalSeconds) {
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+
+    formatDuration(totalSeconds) {
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const parts = [];
+        
+        if (hours > 0) parts.push(`${hours} h`);
+        if (minutes > 0) parts.push(`${minutes} min`);
+        if (seconds > 0 || parts.length === 0) parts.push(`${seconds} s`);
+        
+        return parts.join(' ');
+    }
+
+    setAvailableTags(tagSummary = []) {
+        if (!this.tagFilterContainer || !this.tagFilterSection) return;
+        
+        this.tagFilterContainer.innerHTML = '';
+        this.tagFilterSection.classList.toggle('hidden', tagSummary.length === 0);
+        
+        tagSummary.forEach(({ tag, count }) => {
+            const label = document.createElement('label');
+            label.className = 'tag-option';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = tag;
+            
+            const text = document.createElement('span');
+            text.textContent = `${tag} (${count})`;
+            
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            this.tagFilterContainer.appendChild(label);
+        });
+    }
+
+    getSelectedTags() {
+        if (!this.tagFilterContainer) return [];
+        
+        return Array.from(this.tagFilterContainer.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(checkbox => checkbox.value);
+    }
+
+    setAvailablePoolSize(count) {
+        this.totalQuestionsAvailable = count;
+        this.updateQuestionCountLimits();
+        
+        const helpText = document.getElementById('tag-filter-help');
+        if (helpText) {
+            helpText.textContent = this.getSelectedTags().length > 0
+                ? `${count} preguntas con las etiquetas seleccionadas`
+                : 'Sin selección se usan todas las preguntas';
+        }
+        
+        if (this.startQuizBtn) {
+            this.startQuizBtn.disabled = count === 0;
+        }
+    }
+
     getQuizFilename() {
         if (!this.quizFilenameInput) return 'Quiz.md';
         
@@ -232,6 +574,57 @@ class UIController {
         return filename || 'Quiz.md';
     }
 
+    // Política elegida en la configuración (null = la del archivo)
+    getScoringPolicy() {
+        if (!this.scoringPolicySelect) return null;
+        
+        return this.scoringPolicySelect.value || null;
+    }
+
+    // Modo elegido en la configuración (null = el del archivo)
+    getQuizMode() {
+        if (!this.quizModeSelect) return null;
+        
+        return this.quizModeSelect.value || null;
+    }
+
+    // Orden de las opciones elegido en la configuración (null = el del archivo)
+    getShuffleOptions() {
+        if (!this.shuffleOptionsSelect || !this.shuffleOptionsSelect.value) return null;
+        
+        return this.shuffleOptionsSelect.value === 'true';
+    }
+
+    // Peso de los puntos débiles elegido en la configuración (null = el del archivo)
+    getWeakSpotFocus() {
+        if (!this.weakSpotFocusSelect || !this.weakSpotFocusSelect.value) return null;
+        
+        return Number(this.weakSpotFocusSelect.value);
+    }
+
+    // Semilla escrita en la configuración (null = la del archivo o una nueva)
+    getSeed() {
+        if (!this.quizSeedInput) return null;
+        
+        return this.quizSeedInput.value.trim() || null;
+    }
+
+    // Reparto escrito en la configuración (null = el del archivo); lo interpreta la app
+    getBlueprint() {
+        if (!this.quizBlueprintInput) return null;
+        
+        return this.quizBlueprintInput.value.trim() || null;
+    }
+
+    // ?seed=... en la URL rellena la semilla, para repetir el quiz de otra persona
+    applyUrlSeed() {
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        if (seed && this.quizSeedInput) {
+            this.quizSeedInput.value = seed.trim();
+            console.log(`Semilla tomada de la URL: ${this.quizSeedInput.value}`);
+        }
+    }
+
     getQuestionCount() {
         if (!this.questionCountInput) return 10;
         
@@ -239,6 +632,51 @@ class UIController {
         return Math.min(Math.max(value, 1), this.totalQuestionsAvailable);
     }
 
+    // Cuenta atrás en la cabecera del quiz (status null = sin límite de tiempo)
+    updateTimer(status) {
+        if (!this.quizTimer) return;
+        
+        this.quizTimer.classList.toggle('hidden', !status);
+        if (!status) {
+            this.timerWarningKey = null;
+            return;
+        }
+        
+        const parts = [];
+        if (status.totalRemaining !== null) {
+            parts.push(this.formatClock(status.totalRemaining));
+        }
+        if (status.questionRemaining !== null) {
+            parts.push(`pregunta ${this.formatClock(status.questionRemaining)}`);
+        }
+        this.quizTimer.textContent = `⏱ ${parts.join(' · ')}`;
+        this.quizTimer.classList.toggle('warning', status.isWarning);
+        
+        // Avisar una sola vez por reloj (el total, o cada pregunta)
+        const warningKey = status.scope === 'total' ? 'total' : `question-${this.currentQuestion?.id}`;
+        if (status.isWarning && this.timerWarningKey !== warningKey) {
+            this.timerWarningKey = warningKey;
+            this.showTimerNotice(status.scope === 'total'
+                ? `Quedan ${this.formatDuration(status.remaining)} para terminar el quiz`
+                : `Quedan ${this.formatDuration(status.remaining)} para esta pregunta`);
+        }
+    }
+
+    showTimeExpiredNotice() {
+        this.showTimerNotice('Se agotó el tiempo de la pregunta anterior');
+    }
+
+    showTimerNotice(message) {
+        if (!this.timerNotice) return;
+        
+        clearTimeout(this.timerNoticeTimeout);
+        this.timerNotice.textContent = message;
+        this.timerNotice.classList.remove('hidden');
+        this.timerNoticeTimeout = setTimeout(() => {
+            this.timerNotice.classList.add('hidden');
+        }, 4000);
+    }
+
     // Quiz Screen Methods
     displayQuestion(questionData) {
         if (!questionData) {
@@ -246,7 +684,11 @@ class UIController {
             return;
         }
         
-        const { question, questionNumber, totalQuestions, isLast } = questionData;
+        const { question, questionNumber, totalQuestions, isLast, round } = questionData;
+        this.currentQuestion = question;
+        this.currentQuestionNumber = questionNumber;
+        // Seeded source for the start order of ordering items and matching targets
+        this.itemRandom = questionData.random || Math.random;
         
         // Show quiz screen first
         this.showScreen('quiz');
@@ -260,12 +702,17 @@ class UIController {
             }
             
             if (this.progressText) {
-                this.progressText.textContent = `${questionNumber} de ${totalQuestions}`;
+                this.progressText.textContent = round > 1
+                    ? `${questionNumber} de ${totalQuestions} · Ronda ${round}`
+                    : `${questionNumber} de ${totalQuestions}`;
                 this.progressText.classList.add('slide-in-right');
             }
         }, 100);
         
         setTimeout(() => {
+            // Skip if another question was shown meanwhile (fast navigation in exam mode)
+            if (this.currentQuestion !== question) return;
+            
             // Update question content with animation
             if (this.questionTitle) {
                 this.questionTitle.textContent = question.title || `Pregunta ${questionNumber}`;
@@ -273,18 +720,32 @@ class UIController {
             }
             
             if (this.questionContent) {
-                this.questionContent.textContent = question.content || '';
+                if (question.type === 'cloze') {
+                    this.renderClozeContent(question);
+                } else {
+                    this.markdownRenderer.renderInto(this.questionContent, question.content || '', { media: question.media });
+                }
                 this.questionContent.classList.add('fade-in');
             }
         }, 200);
         
         setTimeout(() => {
+            if (this.currentQuestion !== question) return;
+            
             // Update options with staggered animation
-            this.displayOptions(question.options, question.correctAnswers);
+            this.displayOptions(question.options, question.correctAnswers, question.media, question.type);
+            // Returning to an answered question (exam mode) shows the saved answer
+            if (questionData.userAnswer) {
+                this.restoreAnswer(question, questionData.userAnswer);
+            }
             // Apply animations to newly created options
             this.resetOptionAnimations();
         }, 300);
         
+        if (this.quizMode === 'exam') {
+            this.updateExamControls(questionData);
+        }
+        
         // Update progress bar with smooth animation
         this.updateProgress(questionNumber, totalQuestions);
         
@@ -297,9 +758,11 @@ class UIController {
             this.nextQuestionBtn.classList.remove('bounce-in');
         }
         
-        // Clear previous selection
-        this.selectedAnswer = null;
+        // Clear previous selection, keeping a saved answer (exam mode) until its controls are
+        // rendered: leaving the question before that must not erase it
+        this.selectedAnswer = questionData.userAnswer || null;
         this.selectedAnswers = [];
+        this.clearAnswerFeedback();
         
         // Clear animation classes after they complete
         setTimeout(() => {
@@ -307,6 +770,229 @@ class UIController {
         }, 1000);
     }
 
+    // Select again a saved answer in the freshly rendered controls
+    restoreAnswer(question, answer) {
+        switch (question.type || 'choice') {
+            case 'text':
+            case 'numeric': {
+                const input = this.optionsContainer.querySelector('.text-answer-input');
+                if (input) {
+                    input.value = answer;
+                    this.onTextAnswerInput(answer);
+                }
+                break;
+            }
+            case 'ordering': {
+                const list = this.optionsContainer.querySelector('.ordering-list');
+                answer.split('').forEach(letter => {
+                    const item = list?.querySelector(`.ordering-item[data-option="${letter}"]`);
+                    if (item) list.appendChild(item);
+                });
+                this.updateOrderingAnswer();
+                break;
+            }
+            case 'matching':
+                answer.split(',').forEach(pair => {
+                    const select = this.optionsContainer.querySelector(`.matching-select[data-option="${pair[0]}"]`);
+                    if (select) select.value = pair.slice(1);
+                });
+                this.updateMatchingAnswer();
+                break;
+            case 'cloze': {
+                let values = [];
+                try {
+                    values = JSON.parse(answer);
+                } catch (error) {
+                    console.warn('Respuesta de huecos guardada inválida:', answer);
+                }
+                this.questionContent.querySelectorAll('.cloze-blank').forEach((blank, index) => {
+                    blank.value = values[index] ?? '';
+                });
+                this.updateClozeAnswer();
+                break;
+            }
+            default: {
+                const keys = this.isMultipleSelection ? answer.split('') : [answer];
+                keys.forEach(key => {
+                    this.optionsContainer.querySelector(`.option[data-option="${key}"]`)?.classList.add('selected');
+                });
+                this.selectedAnswers = keys;
+                this.selectedAnswer = answer;
+                if (this.nextQuestionBtn) {
+                    this.nextQuestionBtn.disabled = false;
+                }
+            }
+        }
+    }
+
+    // Practice mode: mark the submitted answer right or wrong, reveal the correct one and wait for "Continuar"
+    showAnswerFeedback({ isCorrect, credit, correctAnswers, correctAnswerText, explanation, isLast }) {
+        this.awaitingFeedback = true;
+        const media = this.currentQuestion?.media;
+        
+        if (this.optionsContainer) {
+            this.optionsContainer.classList.add('feedback-locked');
+            this.optionsContainer.querySelectorAll('.option').forEach(option => {
+                const isRight = correctAnswers.includes(option.dataset.option);
+                option.classList.toggle('correct-answer', isRight);
+                if (option.classList.contains('selected')) {
+                    option.classList.add(isRight ? 'correct' : 'incorrect');
+                }
+                option.setAttribute('aria-disabled', 'true');
+            });
+            this.optionsContainer.querySelectorAll('.ordering-item').forEach(item => {
+                item.draggable = false;
+            });
+        }
+        
+        // Text inputs, selects and ordering buttons, including the cloze blanks inside the question text
+        [this.optionsContainer, this.questionContent].forEach(container => {
+            container?.querySelectorAll('input, select, button.ordering-move').forEach(control => {
+                control.disabled = true;
+            });
+        });
+        
+        if (this.answerFeedback) {
+            const status = isCorrect ? 'correct' : credit > 0 ? 'partial' : 'incorrect';
+            const verdicts = {
+                correct: '✓ ¡Correcto!',
+                partial: `◐ Parcialmente correcta (${Math.round(credit * 100)}%)`,
+                incorrect: '✗ Incorrecta'
+            };
+            
+            // Static structure only; quiz content is rendered below through the safe renderer
+            this.answerFeedback.className = `answer-feedback ${status}`;
+            this.answerFeedback.innerHTML = `
+                <p class="feedback-verdict"></p>
+                ${isCorrect ? '' : `
+                    <div class="feedback-correct-answer">
+                        <span class="answer-label">Respuesta correcta:</span>
+                        <span class="answer-value" data-field="correct-answer"></span>
+                    </div>
+                `}
+                ${explanation ? `
+                    <div class="feedback-explanation">
+                        <span class="answer-label">Explicación:</span>
+                        <div class="explanation-text" data-field="explanation"></div>
+                    </div>
+                ` : ''}
+            `;
+            this.answerFeedback.querySelector('.feedback-verdict').textContent = verdicts[status];
+            this.fillResultField(this.answerFeedback, 'correct-answer', correctAnswerText, { inline: true, media });
+            if (explanation) {
+                this.fillResultField(this.answerFeedback, 'explanation', explanation, { media });
+            }
+        }
+        
+        if (this.nextQuestionBtn) {
+            this.nextQuestionBtn.textContent = isLast ? 'Ver Resultados' : 'Continuar';
+            this.nextQuestionBtn.disabled = false;
+            this.nextQuestionBtn.focus();
+        }
+    }
+
+    clearAnswerFeedback() {
+        this.awaitingFeedback = false;
+        this.optionsContainer?.classList.remove('feedback-locked');
+        if (this.answerFeedback) {
+            this.answerFeedback.className = 'answer-feedback hidden';
+            this.answerFeedback.innerHTML = '';
+        }
+    }
+
+    onFeedbackContinue() {
+        const event = new CustomEvent('feedbackContinue');
+        document.dispatchEvent(event);
+    }
+
+    // Exam mode: Previous/Next/Flag/Submit instead of the single "next" button, plus the overview grid
+    setQuizMode(mode) {
+        this.quizMode = ['exam', 'practice', 'study'].includes(mode) ? mode : 'standard';
+        const isExam = this.quizMode === 'exam';
+        
+        this.standardControls?.classList.toggle('hidden', isExam);
+        this.examControls?.classList.toggle('hidden', !isExam);
+        this.examOverview?.classList.toggle('hidden', !isExam);
+    }
+
+    updateExamControls({ questionNumber, isLast, isFlagged }) {
+        if (this.prevQuestionBtn) {
+            this.prevQuestionBtn.disabled = questionNumber === 1;
+        }
+        if (this.examNextBtn) {
+            this.examNextBtn.disabled = isLast;
+        }
+        this.setFlagState(isFlagged);
+    }
+
+    setFlagState(isFlagged) {
+        if (!this.flagQuestionBtn) return;
+        
+        this.flagQuestionBtn.classList.toggle('flagged', isFlagged);
+        this.flagQuestionBtn.setAttribute('aria-pressed', String(isFlagged));
+        this.flagQuestionBtn.textContent = isFlagged ? '⚑ Quitar marca' : '⚑ Marcar para revisar';
+    }
+
+    // One button per question: answered / unanswered, flagged, current
+    updateExamOverview(overview) {
+        if (!this.examOverviewGrid) return;
+        
+        this.examOverviewGrid.innerHTML = '';
+        overview.forEach(item => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'overview-item';
+            button.dataset.index = item.index;
+            button.classList.toggle('answered', item.isAnswered);
+            button.classList.toggle('flagged', item.isFlagged);
+            button.classList.toggle('current', item.isCurrent);
+            button.textContent = item.isFlagged ? `${item.questionNumber}⚑` : String(item.questionNumber);
+            
+            const status = [item.isAnswered ? 'respondida' : 'sin responder'];
+            if (item.isFlagged) status.push('marcada para revisar');
+            button.setAttribute('aria-label', `Pregunta ${item.questionNumber}: ${status.join(', ')}`);
+            if (item.isCurrent) {
+                button.setAttribute('aria-current', 'step');
+            }
+            
+            this.examOverviewGrid.appendChild(button);
+        });
+    }
+
+    // The answer on screen travels with every navigation so it is saved before leaving the question
+    onExamNavigate(index) {
+        if (index < 0) return;
+        
+        const event = new CustomEvent('examNavigate', {
+            detail: { index, answer: this.selectedAnswer }
+        });
+        document.dispatchEvent(event);
+    }
+
+    onFlagToggle() {
+        document.dispatchEvent(new CustomEvent('flagToggled'));
+    }
+
+    onSubmitExam() {
+        const event = new CustomEvent('examSubmitRequested', {
+            detail: { answer: this.selectedAnswer }
+        });
+        document.dispatchEvent(event);
+    }
+
+    confirmExamSubmit({ unanswered, flagged }) {
+        const warnings = [];
+        if (unanswered > 0) {
+            warnings.push(`Tienes ${unanswered} ${unanswered === 1 ? 'pregunta' : 'preguntas'} sin responder.`);
+        }
+        if (flagged > 0) {
+            warnings.push(`${flagged} ${flagged === 1 ? 'pregunta sigue marcada' : 'preguntas siguen marcadas'} para revisar.`);
+        }
+        warnings.push('¿Entregar el examen? Ya no podrás cambiar las respuestas.');
+        
+        return confirm(warnings.join('\n'));
+    }
+
     clearAnimationClasses() {
         // Remove animation classes to allow re-animation
         const elements = [this.questionNumber, this.progressText, this.questionTitle, this.questionContent];
@@ -317,35 +1003,483 @@ class UIController {
         });
     }
 
-    displayOptions(options, correctAnswers = []) {
+    displayOptions(options, correctAnswers = [], media = [], type = 'choice') {
         if (!this.optionsContainer || !options) return;
 
         // Determine if this is a multiple selection question
-        this.isMultipleSelection = correctAnswers.length > 1;
+        this.isMultipleSelection = type === 'choice' && correctAnswers.length > 1;
 
         // Clear existing options
         this.optionsContainer.innerHTML = '';
+        this.optionsContainer.classList.toggle('truefalse-options', type === 'truefalse');
+        this.optionsContainer.classList.toggle('text-answer', type === 'text' || type === 'numeric');
+
+        if (type === 'truefalse') {
+            this.displayTrueFalseOptions(options);
+            return;
+        }
+
+        if (type === 'text') {
+            this.displayTextAnswerInput();
+            return;
+        }
+
+        if (type === 'numeric') {
+            this.displayTextAnswerInput({ numeric: true, unit: this.currentQuestion?.numericAnswer?.unit });
+            return;
+        }
+
+        if (type === 'ordering') {
+            this.displayOrderingItems(options, media);
+            return;
+        }
+
+        if (type === 'matching') {
+            this.displayMatchingPairs(options, this.currentQuestion?.matchTargets || {}, media);
+            return;
+        }
+
+        if (type === 'cloze') {
+            // The blanks live inside the question content
+            const hint = document.createElement('p');
+            hint.className = 'cloze-hint';
+            hint.textContent = 'Completa los huecos del enunciado.';
+            this.optionsContainer.appendChild(hint);
+            return;
+        }
 
         // Create option buttons dynamically for all available options
         Object.entries(options).forEach(([letter, text]) => {
             const optionButton = document.createElement('button');
             optionButton.className = 'option';
             optionButton.setAttribute('data-option', letter);
+            optionButton.setAttribute('data-key', letter);
 
             // Add visual indicator for multiple selection
             if (this.isMultipleSelection) {
                 optionButton.classList.add('multiple-selection');
             }
 
-            optionButton.innerHTML = `
-                <span class="option-letter">${letter}.</span>
-                <span class="option-text">${text}</span>
-            `;
+            const letterSpan = document.createElement('span');
+            letterSpan.className = 'option-letter';
+            letterSpan.textContent = `${letter}.`;
+
+            const textSpan = document.createElement('span');
+            textSpan.className = 'option-text';
+            this.markdownRenderer.renderInto(textSpan, text, { inline: true, media });
+
+            optionButton.appendChild(letterSpan);
+            optionButton.appendChild(textSpan);
 
             this.optionsContainer.appendChild(optionButton);
         });
     }
 
+    // Ordering: a shuffled list reordered by dragging, the ↑/↓ buttons or the arrow keys on a focused item
+    displayOrderingItems(options, media = []) {
+        const list = document.createElement('ol');
+        list.className = 'ordering-list';
+        list.setAttribute('aria-label', 'Ordena los elementos: arrástralos o usa las flechas');
+
+        this.shuffleOrderingItems(Object.keys(options)).forEach(letter => {
+            list.appendChild(this.createOrderingItem(letter, options[letter], media));
+        });
+
+        list.addEventListener('click', (e) => {
+            const moveButton = e.target.closest('.ordering-move');
+            if (moveButton) {
+                this.moveOrderingItem(moveButton.closest('.ordering-item'), Number(moveButton.dataset.direction));
+            }
+        });
+
+        list.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.ordering-item');
+            if (!item || e.target !== item) return;
+
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.moveOrderingItem(item, e.key === 'ArrowUp' ? -1 : 1);
+            }
+        });
+
+        list.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.ordering-item');
+            if (!item) return;
+            this.draggedOrderingItem = item;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.option);
+        });
+
+        list.addEventListener('dragover', (e) => {
+            const target = e.target.closest('.ordering-item');
+            if (!this.draggedOrderingItem || !target) return;
+            e.preventDefault();
+            if (target === this.draggedOrderingItem) return;
+
+            // Drop above or below the hovered item depending on the pointer position
+            const rect = target.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            list.insertBefore(this.draggedOrderingItem, after ? target.nextElementSibling : target);
+        });
+
+        list.addEventListener('drop', (e) => e.preventDefault());
+
+        list.addEventListener('dragend', () => {
+            if (this.draggedOrderingItem) {
+                this.draggedOrderingItem.classList.remove('dragging');
+                this.draggedOrderingItem = null;
+            }
+            this.updateOrderingAnswer();
+        });
+
+        this.optionsContainer.appendChild(list);
+        this.updateOrderingAnswer(false);
+    }
+
+    createOrderingItem(letter, text, media) {
+        const item = document.createElement('li');
+        item.className = 'ordering-item';
+        item.draggable = true;
+        item.tabIndex = 0;
+        item.setAttribute('data-option', letter);
+
+        const handle = document.createElement('span');
+        handle.className = 'ordering-handle';
+        handle.setAttribute('aria-hidden', 'true');
+        handle.textContent = '⋮⋮';
+
+        const textSpan = document.createElement('span');
+        textSpan.className = 'option-text';
+        this.markdownRenderer.renderInto(textSpan, text, { inline: true, media });
+
+        const controls = document.createElement('span');
+        controls.className = 'ordering-controls';
+        [[-1, '↑', 'Subir'], [1, '↓', 'Bajar']].forEach(([direction, symbol, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'ordering-move';
+            button.dataset.direction = direction;
+            button.textContent = symbol;
+            button.setAttribute('aria-label', label);
+            controls.appendChild(button);
+        });
+
+        item.appendChild(handle);
+        item.appendChild(textSpan);
+        item.appendChild(controls);
+        return item;
+    }
+
+    shuffleOrderingItems(letters, random = this.itemRandom || Math.random) {
+        const shuffled = [...letters];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+
+        // Never start with the items already in their written order
+        if (shuffled.length > 1 && shuffled.join('') === letters.join('')) {
+            shuffled.push(shuffled.shift());
+        }
+        return shuffled;
+    }
+
+    moveOrderingItem(item, direction) {
+        if (!item || this.awaitingFeedback) return;
+
+        const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+        if (!sibling) return;
+
+        item.parentNode.insertBefore(item, direction < 0 ? sibling : sibling.nextElementSibling);
+        item.focus();
+        this.updateOrderingAnswer();
+    }
+
+    // The order is an answer once an item was moved (or a saved order restored); the shuffled
+    // start order is not, so passing over the question in exam mode leaves it unanswered
+    updateOrderingAnswer(isAnswered = true) {
+        const letters = [...this.optionsContainer.querySelectorAll('.ordering-item')].map(item => item.dataset.option);
+        this.selectedAnswers = letters;
+        this.selectedAnswer = isAnswered ? letters.join('') : null;
+
+        if (this.nextQuestionBtn) {
+            this.nextQuestionBtn.disabled = letters.length === 0;
+        }
+    }
+
+    // Matching: one native select per item, so pairing works the same with touch, mouse and keyboard
+    displayMatchingPairs(options, targets, media = []) {
+        const list = document.createElement('div');
+        list.className = 'matching-list';
+
+        // Same shuffled target order in every select
+        const targetKeys = this.shuffleOrderingItems(Object.keys(targets));
+
+        Object.entries(options).forEach(([letter, text]) => {
+            const row = document.createElement('label');
+            row.className = 'matching-row';
+
+            const textSpan = document.createElement('span');
+            textSpan.className = 'option-text';
+            this.markdownRenderer.renderInto(textSpan, text, { inline: true, media });
+
+            const select = document.createElement('select');
+            select.className = 'matching-select';
+            select.setAttribute('data-option', letter);
+
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = 'Elige su pareja...';
+            select.appendChild(placeholder);
+
+            targetKeys.forEach(key => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = this.markdownRenderer.toPlainText(targets[key]);
+                select.appendChild(option);
+            });
+
+            row.appendChild(textSpan);
+            row.appendChild(select);
+            list.appendChild(row);
+        });
+
+        list.addEventListener('change', () => this.updateMatchingAnswer());
+
+        this.optionsContainer.appendChild(list);
+        this.updateMatchingAnswer();
+    }
+
+    // Cloze: render the content with {{n}} markers replaced by inline inputs or selects
+    renderClozeContent(question) {
+        const marker = '\uE001';
+        const markdown = (question.content || '').replace(/\{\{(\d+)\}\}/g, `${marker}$1${marker}`);
+        this.markdownRenderer.renderInto(this.questionContent, markdown, { media: question.media });
+
+        // Collect first, then replace (the walker would skip nodes inserted while walking)
+        const walker = document.createTreeWalker(this.questionContent, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            if (walker.currentNode.nodeValue.includes(marker) && !walker.currentNode.parentNode.closest('code, pre')) {
+                textNodes.push(walker.currentNode);
+            }
+        }
+
+        const markerRegex = new RegExp(`${marker}(\\d+)${marker}`);
+        textNodes.forEach(node => {
+            const fragment = document.createDocumentFragment();
+            node.nodeValue.split(markerRegex).forEach((part, index) => {
+                if (index % 2 === 0) {
+                    if (part) fragment.appendChild(document.createTextNode(part));
+                } else {
+                    const blank = question.blanks[Number(part) - 1];
+                    fragment.appendChild(blank ? this.createClozeBlank(blank, Number(part)) : document.createTextNode(`{{${part}}}`));
+                }
+            });
+            node.parentNode.replaceChild(fragment, node);
+        });
+
+        this.updateClozeAnswer();
+    }
+
+    createClozeBlank(blank, number) {
+        let control;
+        if (blank.choices) {
+            control = document.createElement('select');
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = '...';
+            control.appendChild(placeholder);
+            blank.choices.forEach(choice => {
+                const option = document.createElement('option');
+                option.value = choice;
+                option.textContent = this.markdownRenderer.toPlainText(choice);
+                control.appendChild(option);
+            });
+        } else {
+            control = document.createElement('input');
+            control.type = 'text';
+            control.maxLength = this.maxTextAnswerLength;
+            control.autocomplete = 'off';
+            control.spellcheck = false;
+            // Roughly as wide as the longest accepted answer
+            control.size = Math.max(6, ...blank.accepted.map(answer => answer.length + 2));
+        }
+
+        control.className = 'cloze-blank';
+        control.setAttribute('data-blank', number);
+        control.setAttribute('aria-label', `Hueco ${number}`);
+        control.addEventListener(blank.choices ? 'change' : 'input', () => this.updateClozeAnswer());
+        control.addEventListener('keydown', (e) => this.onClozeKeydown(e, control));
+        return control;
+    }
+
+    // Enter moves to the next blank, and submits once every blank is filled
+    onClozeKeydown(e, control) {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+
+        const blanks = [...this.questionContent.querySelectorAll('.cloze-blank')];
+        const next = blanks.slice(blanks.indexOf(control) + 1).find(blank => !blank.value.trim());
+        if (this.selectedAnswer) {
+            this.onNextQuestion();
+        } else if (next) {
+            next.focus();
+        }
+    }
+
+    // The answer is a JSON list with one value per blank, complete when none is empty
+    updateClozeAnswer() {
+        const values = [...this.questionContent.querySelectorAll('.cloze-blank')].map(blank => blank.value);
+        const isComplete = values.length > 0 && values.every(value => value.trim().length > 0);
+        this.selectedAnswers = values;
+        this.selectedAnswer = isComplete ? JSON.stringify(values) : null;
+
+        if (this.nextQuestionBtn) {
+            this.nextQuestionBtn.disabled = !isComplete;
+        }
+    }
+
+    // The answer is complete once every item has a pair: "A2,B1,C3"
+    updateMatchingAnswer() {
+        const selects = [...this.optionsContainer.querySelectorAll('.matching-select')];
+        const pairs = selects.filter(select => select.value).map(select => `${select.dataset.option}${select.value}`);
+
+        selects.forEach(select => select.closest('.matching-row').classList.toggle('paired', Boolean(select.value)));
+
+        const isComplete = selects.length > 0 && pairs.length === selects.length;
+        this.selectedAnswers = pairs;
+        this.selectedAnswer = isComplete ? pairs.join(',') : null;
+
+        if (this.nextQuestionBtn) {
+            this.nextQuestionBtn.disabled = !isComplete;
+        }
+    }
+
+    // "+0,7 m/s (1,7 %)" / "unidad distinta (se esperaba m/s)"
+    formatNumericDeviation(deviation) {
+        const format = value => value.toLocaleString('es', { maximumSignificantDigits: 4, signDisplay: 'exceptZero' });
+        let text = format(deviation.difference);
+        if (deviation.unit) {
+            text += ` ${deviation.unit}`;
+        }
+        if (deviation.relativeDifference !== null) {
+            text += ` (${format(deviation.relativeDifference)} %)`;
+        }
+        if (!deviation.unitMatches) {
+            text += ` · unidad distinta (se esperaba ${deviation.unit})`;
+        }
+        return text;
+    }
+
+    // Two large buttons (Verdadero / Falso, Sí / No); the key hint is the label's first letter
+    displayTrueFalseOptions(options) {
+        ['true', 'false'].forEach(value => {
+            const label = options[value];
+            const key = this.getShortcutKey(label);
+
+            const optionButton = document.createElement('button');
+            optionButton.className = `option truefalse-option truefalse-${value}`;
+            optionButton.setAttribute('data-option', value);
+            optionButton.setAttribute('data-key', key);
+            optionButton.setAttribute('aria-keyshortcuts', key);
+
+            const keySpan = document.createElement('span');
+            keySpan.className = 'option-letter';
+            keySpan.textContent = key;
+
+            const textSpan = document.createElement('span');
+            textSpan.className = 'option-text';
+            textSpan.textContent = label;
+
+            optionButton.appendChild(keySpan);
+            optionButton.appendChild(textSpan);
+
+            this.optionsContainer.appendChild(optionButton);
+        });
+    }
+
+    // Free-text answer: a single input, Enter submits. Numeric answers get a decimal keypad and the unit
+    displayTextAnswerInput({ numeric = false, unit = null } = {}) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'text-answer-input';
+        input.maxLength = numeric ? this.maxNumericAnswerLength : this.maxTextAnswerLength;
+        input.placeholder = numeric ? 'Escribe un número (ej. 3,14)' : 'Escribe tu respuesta...';
+        if (numeric) {
+            input.inputMode = 'decimal';
+            input.classList.add('numeric-answer-input');
+        }
+        input.setAttribute('aria-label', 'Tu respuesta');
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+
+        input.addEventListener('input', () => this.onTextAnswerInput(input.value));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && this.selectedAnswer) {
+                e.preventDefault();
+                this.onNextQuestion();
+            }
+        });
+
+        if (unit) {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'answer-with-unit';
+            const unitSpan = document.createElement('span');
+            unitSpan.className = 'answer-unit';
+            unitSpan.textContent = unit;
+            wrapper.appendChild(input);
+            wrapper.appendChild(unitSpan);
+            this.optionsContainer.appendChild(wrapper);
+        } else {
+            this.optionsContainer.appendChild(input);
+        }
+        setTimeout(() => input.focus(), 0);
+    }
+
+    onTextAnswerInput(value) {
+        const hasAnswer = value.trim().length > 0;
+        this.selectedAnswer = hasAnswer ? value : null;
+        this.selectedAnswers = hasAnswer ? [value] : [];
+
+        if (this.nextQuestionBtn) {
+            this.nextQuestionBtn.disabled = !hasAnswer;
+        }
+    }
+
+    getShortcutKey(label) {
+        return String(label).normalize('NFD').replace(/[\u0300-\u036f]/g, '').charAt(0).toUpperCase();
+    }
+
+    // Keyboard support in the quiz screen: option letter (or V/F, S/N...) selects, Enter continues
+    onQuizKeydown(e) {
+        if (this.currentScreen !== 'quiz' || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target && e.target.closest && e.target.closest('input, textarea, select')) return;
+
+        if (e.key === 'Enter') {
+            // A focused button already handles Enter natively
+            if (e.target && e.target.closest && e.target.closest('button')) return;
+            const nextButton = this.quizMode === 'exam' ? this.examNextBtn : this.nextQuestionBtn;
+            if (nextButton && !nextButton.disabled) {
+                e.preventDefault();
+                this.onNextQuestion();
+            }
+            return;
+        }
+
+        if (!this.optionsContainer || e.key.length !== 1) return;
+
+        const key = e.key.toUpperCase();
+        const option = [...this.optionsContainer.querySelectorAll('.option')]
+            .find(opt => opt.dataset.key === key);
+        if (option) {
+            e.preventDefault();
+            this.onOptionSelected(option);
+            option.focus();
+        }
+    }
+
     updateProgress(current, total) {
         if (!this.progressBar) return;
         
@@ -362,6 +1496,9 @@ class UIController {
         
         // Show results screen first
         this.showScreen('results');
+        this.displayRoundSummary(results);
+        this.displayResultsSeed(results.seed, results.seedReplayable !== false);
+        this.displayResultsAbility(results.ability);
         
         // Animate score display with counting effect
         setTimeout(() => {
@@ -374,11 +1511,85 @@ class UIController {
         }, 800);
     }
 
+    // Retry rounds: offer to repeat the missed questions and show how each round went
+    displayRoundSummary({ rounds = [], incorrectCount = 0 }) {
+        if (this.retryIncorrectBtn) {
+            this.retryIncorrectBtn.classList.toggle('hidden', incorrectCount === 0);
+            this.retryIncorrectBtn.textContent = `Repetir falladas (${incorrectCount})`;
+        }
+        
+        if (!this.roundSummary) return;
+        
+        if (rounds.length < 2) {
+            this.roundSummary.classList.add('hidden');
+            this.roundSummary.innerHTML = '';
+            return;
+        }
+        
+        const heading = document.createElement('p');
+        heading.className = 'round-summary-title';
+        heading.textContent = incorrectCount === 0
+            ? `🎯 ¡Todas dominadas en ${rounds.length} rondas!`
+            : `Ronda ${rounds.length}: ${incorrectCount === 1 ? 'queda 1' : `quedan ${incorrectCount}`} por dominar`;
+        
+        const list = document.createElement('ol');
+        list.className = 'round-summary-list';
+        rounds.forEach(({ round, correctCount, totalQuestions }) => {
+            const item = document.createElement('li');
+            item.textContent = `Ronda ${round}: ${correctCount} de ${totalQuestions} correctas`;
+            list.appendChild(item);
+        });
+        
+        this.roundSummary.innerHTML = '';
+        this.roundSummary.appendChild(heading);
+        this.roundSummary.appendChild(list);
+        this.roundSummary.classList.remove('hidden');
+    }
+
+    // The seed plus a link that replays the same draw (not when the answer history shaped the draw)
+    displayResultsSeed(seed, replayable = true) {
+        if (!this.resultsSeed) return;
+        
+        this.resultsSeed.innerHTML = '';
+        this.resultsSeed.classList.toggle('hidden', !seed);
+        if (!seed) return;
+        
+        if (!replayable) {
+            this.resultsSeed.textContent = `🎲 Semilla: ${seed} · preguntas elegidas según tu historial`;
+            return;
+        }
+        
+        const link = document.createElement('a');
+        link.href = `?seed=${encodeURIComponent(seed)}`;
+        link.textContent = 'enlace para repetir este quiz';
+        
+        this.resultsSeed.append(`🎲 Semilla: ${seed} · `, link);
+    }
+
+    // Adaptive mode: estimated level on the 1-5 difficulty scale, next to the raw score
+    displayResultsAbility(ability) {
+        if (!this.resultsAbility) return;
+        
+        const hasAbility = typeof ability === 'number';
+        this.resultsAbility.classList.toggle('hidden', !hasAbility);
+        if (!hasAbility) {
+            this.resultsAbility.textContent = '';
+            return;
+        }
+        
+        const levels = ['Inicial', 'Básico', 'Intermedio', 'Avanzado', 'Experto'];
+        const level = levels[Math.min(levels.length - 1, Math.max(0, Math.round(ability) - 1))];
+        this.resultsAbility.textContent = `📈 Nivel estimado: ${ability.toLocaleString('es-ES')} de 5 (${level})`;
+    }
+
     animateScoreDisplay(results) {
         if (this.scoreDisplay) {
-            // Color code the score with gradient
+            // Color code the score with gradient (failing the quiz's passing score is always red)
             let colorClass = '';
-            if (results.score >= 80) {
+            if (results.passed === false) {
+                this.scoreDisplay.style.background = 'linear-gradient(135deg, #e74c3c, #c0392b)';
+                colorClass = 'needs-improvement';
+            } else if (results.score >= 80) {
                 this.scoreDisplay.style.background = 'linear-gradient(135deg, #27ae60, #2ecc71)';
                 colorClass = 'excellent';
             } else if (results.score >= 60) {
@@ -392,8 +1603,17 @@ class UIController {
             // Animate counting up to final score
             this.animateCountUp(this.scoreDisplay, 0, results.score, 1500, '%');
             
+            // Points earned out of the possible total (weights, partial credit and penalties)
+            this.scoreDisplay.parentNode.querySelector('.score-points')?.remove();
+            if (results.points !== undefined) {
+                const pointsEl = document.createElement('p');
+                pointsEl.className = 'score-points';
+                pointsEl.textContent = this.formatScorePoints(results);
+                this.scoreDisplay.after(pointsEl);
+            }
+            
             // Add celebration effect for high scores
-            if (results.score >= 80) {
+            if (results.score >= 80 && results.passed !== false) {
                 this.addCelebrationEffect();
             }
         }
@@ -403,6 +1623,24 @@ class UIController {
                 this.scoreText.textContent = `${results.correctCount} de ${results.totalQuestions} respuestas correctas`;
                 this.scoreText.classList.add('fade-in');
                 
+                // Pass/fail verdict against the quiz's passing score
+                this.scoreText.parentNode.querySelector('.pass-status')?.remove();
+                this.scoreText.parentNode.querySelector('.time-expired')?.remove();
+                if (results.timeExpired) {
+                    const expiredEl = document.createElement('p');
+                    expiredEl.className = 'time-expired';
+                    expiredEl.textContent = '⏱ Se agotó el tiempo: las preguntas pendientes cuentan como sin responder';
+                    this.scoreText.parentNode.appendChild(expiredEl);
+                }
+                if (typeof results.passed === 'boolean') {
+                    const verdictEl = document.createElement('p');
+                    verdictEl.className = `pass-status ${results.passed ? 'passed' : 'failed'}`;
+                    verdictEl.textContent = results.passed
+                        ? `Aprobado (mínimo ${results.passingScore}%)`
+                        : `No aprobado (mínimo ${results.passingScore}%)`;
+                    this.scoreText.parentNode.appendChild(verdictEl);
+                }
+                
                 // Add encouraging message based on score
                 const encouragement = this.getEncouragementMessage(results.score);
                 if (encouragement) {
@@ -422,6 +1660,23 @@ class UIController {
         }
     }
 
+    formatPoints(value) {
+        return value.toLocaleString('es', { maximumFractionDigits: 2 });
+    }
+
+    formatScorePoints(results) {
+        let text = `${this.formatPoints(results.points)} de ${this.formatPoints(results.maxPoints)} puntos`;
+        
+        if (results.penaltyPoints > 0) {
+            text += ` (−${this.formatPoints(results.penaltyPoints)} por errores)`;
+        }
+        if (results.scoringPolicy && results.scoringPolicy !== 'all-or-nothing') {
+            text += ` · puntuación ${this.scoringPolicyLabels[results.scoringPolicy]}`;
+        }
+        
+        return text;
+    }
+
     animateCountUp(element, start, end, duration, suffix = '') {
         const startTime = performance.now();
         const range = end - start;
@@ -526,42 +1781,134 @@ class UIController {
             resultItem.style.opacity = '0';
             resultItem.style.transform = 'translateX(-20px)';
             
-            const questionText = detail.question.content.length > 100 
-                ? detail.question.content.substring(0, 100) + '...'
+            // Cloze markers ({{1}}) are shown as blanks; the summary is cut as plain text so code
+            // fences, images and links are not left half open
+            const content = detail.question.type === 'cloze'
+                ? detail.question.content.replace(/\{\{(\d+)\}\}/g, '\\_\\_\\_($1)')
                 : detail.question.content;
+            const plainText = this.markdownRenderer.toPlainText(content);
+            const questionText = plainText.length > 100 
+                ? plainText.substring(0, 100) + '...'
+                : plainText;
             
             let answerInfo = '';
             if (detail.isCorrect) {
                 answerInfo = `
                     <div class="result-answer">
                         <span class="answer-label">Tu respuesta:</span> 
-                        <span class="answer-value correct">${detail.userAnswer}. ${detail.userAnswerText}</span>
+                        <span class="answer-value correct" data-field="user-answer"></span>
                         <span class="answer-icon">✓</span>
                     </div>
                 `;
             } else {
-                const correctAnswersText = detail.correctAnswerTexts.join(' o ');
                 answerInfo = `
                     <div class="result-answer">
                         <span class="answer-label">Tu respuesta:</span> 
-                        <span class="answer-value incorrect">${detail.userAnswer || 'Sin respuesta'}. ${detail.userAnswerText || 'No respondida'}</span>
+                        <span class="answer-value incorrect" data-field="user-answer"></span>
                         <span class="answer-icon">✗</span>
                     </div>
                     <div class="result-answer correct-answer">
                         <span class="answer-label">Respuesta correcta:</span> 
-                        <span class="answer-value">${detail.correctAnswers.join(', ')}. ${correctAnswersText}</span>
+                        <span class="answer-value" data-field="correct-answer"></span>
                     </div>
                 `;
             }
             
+            if (detail.matchingPairs) {
+                answerInfo += `
+                    <div class="result-answer matching-pairs">
+                        <span class="answer-label">Parejas:</span>
+                        <ul class="answer-breakdown" data-field="pairs"></ul>
+                    </div>
+                `;
+            }
+            
+            if (detail.clozeBlanks) {
+                answerInfo += `
+                    <div class="result-answer cloze-blanks">
+                        <span class="answer-label">Huecos:</span>
+                        <ul class="answer-breakdown" data-field="blanks"></ul>
+                    </div>
+                `;
+            }
+            
+            if (detail.orderingPositions && !detail.isCorrect) {
+                answerInfo += `
+                    <div class="result-answer ordering-positions">
+                        <span class="answer-label">En su posición:</span> 
+                        <span class="answer-value" data-field="positions"></span>
+                    </div>
+                `;
+            }
+            
+            // Solo interesa el detalle de puntos si hay pesos o penalizaciones
+            if (detail.maxPoints !== undefined && (detail.maxPoints !== 1 || detail.penalty > 0)) {
+                answerInfo += `
+                    <div class="result-answer question-points">
+                        <span class="answer-label">Puntos:</span> 
+                        <span class="answer-value" data-field="points"></span>
+                    </div>
+                `;
+            }
+            
+            if (detail.numericDeviation) {
+                answerInfo += `
+                    <div class="result-answer numeric-deviation">
+                        <span class="answer-label">Diferencia:</span> 
+                        <span class="answer-value" data-field="deviation"></span>
+                    </div>
+                `;
+            }
+            
+            let explanationInfo = '';
+            if (detail.explanation) {
+                explanationInfo = `
+                    <div class="result-explanation">
+                        <span class="answer-label">Explicación:</span>
+                        <div class="explanation-text" data-field="explanation"></div>
+                    </div>
+                `;
+            }
+            
+            // Static structure only; quiz content is rendered below through the safe renderer
             resultItem.innerHTML = `
                 <div class="result-question">
                     <span class="question-number-badge">${detail.questionNumber}</span>
-                    <span class="question-text">${questionText}</span>
+                    <span class="question-text" data-field="question"></span>
                 </div>
                 ${answerInfo}
+                ${explanationInfo}
             `;
             
+            const media = detail.question.media;
+            resultItem.querySelector('[data-field="question"]').textContent = questionText;
+            this.fillResultField(resultItem, 'user-answer', detail.userAnswer
+                ? detail.userAnswerText
+                : 'Sin respuesta', { inline: true, media });
+            this.fillResultField(resultItem, 'correct-answer', detail.correctAnswerText
+                || `${detail.correctAnswers.join(', ')}. ${detail.correctAnswerTexts.join(' o ')}`, { inline: true, media });
+            this.fillResultField(resultItem, 'explanation', detail.explanation, { media });
+            if (detail.matchingPairs) {
+                this.fillMatchingPairs(resultItem.querySelector('[data-field="pairs"]'), detail.matchingPairs, media);
+            }
+            if (detail.clozeBlanks) {
+                this.fillClozeBlanks(resultItem.querySelector('[data-field="blanks"]'), detail.clozeBlanks, media);
+            }
+            if (detail.orderingPositions && !detail.isCorrect) {
+                const { inPlace, total } = detail.orderingPositions;
+                resultItem.querySelector('[data-field="positions"]').textContent = detail.credit > 0
+                    ? `${inPlace} de ${total} (crédito parcial ${Math.round(detail.credit * 100)}%)`
+                    : `${inPlace} de ${total}`;
+            }
+            const pointsField = resultItem.querySelector('[data-field="points"]');
+            if (pointsField) {
+                pointsField.textContent = `${this.formatPoints(detail.points)} de ${this.formatPoints(detail.maxPoints)}`
+                    + (detail.penalty > 0 ? ' (penalización por error)' : '');
+            }
+            if (detail.numericDeviation) {
+                resultItem.querySelector('[data-field="deviation"]').textContent = this.formatNumericDeviation(detail.numericDeviation);
+            }
+            
             this.resultsList.appendChild(resultItem);
             
             // Trigger animation with staggered delay
@@ -593,6 +1940,37 @@ class UIController {
         this.addResultDetailStyles();
     }
 
+    fillResultField(resultItem, field, markdown, options = {}) {
+        const target = resultItem.querySelector(`[data-field="${field}"]`);
+        if (target) {
+            this.markdownRenderer.renderInto(target, markdown, options);
+        }
+    }
+
+    fillMatchingPairs(list, pairs, media) {
+        pairs.forEach(pair => {
+            const item = document.createElement('li');
+            item.className = pair.isCorrect ? 'correct' : 'incorrect';
+            const markdown = pair.isCorrect
+                ? `✓ ${pair.item} → ${pair.given}`
+                : `✗ ${pair.item} → ${pair.given ?? '—'} (correcta: ${pair.expected})`;
+            this.markdownRenderer.renderInto(item, markdown, { inline: true, media });
+            list.appendChild(item);
+        });
+    }
+
+    fillClozeBlanks(list, blanks, media) {
+        blanks.forEach(blank => {
+            const item = document.createElement('li');
+            item.className = blank.isCorrect ? 'correct' : 'incorrect';
+            const markdown = blank.isCorrect
+                ? `✓ ${blank.index}: ${blank.given}`
+                : `✗ ${blank.index}: ${blank.given ?? '—'} (correcta: ${blank.expected})`;
+            this.markdownRenderer.renderInto(item, markdown, { inline: true, media });
+            list.appendChild(item);
+        });
+    }
+
     addResultDetailStyles() {
         if (!document.getElementById('result-detail-styles')) {
             const style = document.createElement('style');
@@ -652,6 +2030,32 @@ class UIController {
                     color: #27ae60;
                     font-weight: 600;
                 }
+                
+                .result-explanation {
+                    background: rgba(52, 152, 219, 0.08);
+                    padding: 0.5rem;
+                    border-radius: 6px;
+                    margin-top: 0.5rem;
+                    border-left: 3px solid #3498db;
+                }
+                
+                .explanation-text {
+                    color: #2c3e50;
+                }
+                
+                .answer-breakdown {
+                    list-style: none;
+                    margin: 0.25rem 0 0;
+                    padding: 0;
+                }
+                
+                .answer-breakdown li.correct {
+                    color: #27ae60;
+                }
+                
+                .answer-breakdown li.incorrect {
+                    color: #e74c3c;
+                }
             `;
             document.head.appendChild(style);
         }
@@ -661,10 +2065,17 @@ class UIController {
     onStartQuiz() {
         const questionCount = this.getQuestionCount();
         const filename = this.getQuizFilename();
+        const tags = this.getSelectedTags();
+        const scoringPolicy = this.getScoringPolicy();
+        const mode = this.getQuizMode();
+        const shuffleOptions = this.getShuffleOptions();
+        const seed = this.getSeed();
+        const blueprint = this.getBlueprint();
+        const weakSpotFocus = this.getWeakSpotFocus();
         
         // Dispatch custom event for app to handle
         const event = new CustomEvent('startQuiz', {
-            detail: { questionCount, filename }
+            detail: { questionCount, filename, tags, scoringPolicy, mode, shuffleOptions, seed, blueprint, weakSpotFocus }
         });
         document.dispatchEvent(event);
     }
@@ -694,6 +2105,14 @@ class UIController {
         }, 500); // Save after 500ms of no changes
     }
 
+    onTagFilterChange() {
+        // The app recalculates the question pool for the selected tags
+        const event = new CustomEvent('tagFilterChanged', {
+            detail: { tags: this.getSelectedTags() }
+        });
+        document.dispatchEvent(event);
+    }
+
     onFilenameChange() {
         // Auto-save configuration with debouncing
         clearTimeout(this.saveConfigTimeout);
@@ -713,6 +2132,9 @@ class UIController {
     }
 
     onOptionSelected(optionElement) {
+        // The answer is locked while its correction is on screen
+        if (this.awaitingFeedback) return;
+        
         const option = optionElement.dataset.option;
         
         if (this.isMultipleSelection) {
@@ -811,6 +2233,24 @@ class UIController {
     }
 
     onNextQuestion() {
+        if (this.awaitingFeedback) {
+            this.onFeedbackContinue();
+            return;
+        }
+        
+        // In exam mode moving on never locks the answer (and needs none)
+        if (this.quizMode === 'exam') {
+            if (this.examNextBtn && !this.examNextBtn.disabled) {
+                this.onExamNavigate(this.currentQuestionNumber);
+            }
+            return;
+        }
+        
+        // Pressing the button on an untouched ordering list confirms the order shown
+        if (!this.selectedAnswer && this.currentQuestion?.type === 'ordering' && this.selectedAnswers.length > 0) {
+            this.selectedAnswer = this.selectedAnswers.join('');
+        }
+        
         if (!this.selectedAnswer) {
             alert('Por favor selecciona una respuesta antes de continuar.');
             return;
@@ -823,6 +2263,28 @@ class UIController {
         document.dispatchEvent(event);
     }
 
+    onResumeQuiz() {
+        const event = new CustomEvent('resumeQuiz');
+        document.dispatchEvent(event);
+    }
+
+    onDiscardSavedQuiz() {
+        const event = new CustomEvent('discardSavedQuiz');
+        document.dispatchEvent(event);
+    }
+
+    onResetSeenHistory() {
+        if (!confirm('¿Reiniciar el historial de preguntas vistas? Todas las preguntas volverán a contar como no vistas.')) return;
+        
+        const event = new CustomEvent('resetSeenHistory');
+        document.dispatchEvent(event);
+    }
+
+    onRetryIncorrect() {
+        const event = new CustomEvent('retryIncorrect');
+        document.dispatchEvent(event);
+    }
+
     onNewQuiz() {
         // Dispatch custom event for new quiz
         const event = new CustomEvent('newQuiz');
@@ -931,6 +2393,12 @@ class UIController {
         return div.innerHTML;
     }
 
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
     showUserFriendlyError(technicalError, userContext = '') {
         let userMessage = 'Ha ocurrido un error inesperado.';
         let suggestions = [];
@@ -996,6 +2464,10 @@ class UIController {
             const config = {
                 filename: this.getQuizFilename(),
                 questionCount: this.getQuestionCount(),
+                scoringPolicy: this.getScoringPolicy(),
+                mode: this.getQuizMode(),
+                shuffleOptions: this.getShuffleOptions(),
+                weakSpotFocus: this.getWeakSpotFocus(),
                 lastSaved: new Date().toISOString(),
                 version: '1.0'
             };
@@ -1028,6 +2500,25 @@ class UIController {
                         this.questionCountInput.value = questionCount;
                         console.log(`Número de preguntas restaurado: ${questionCount}`);
                     }
+                    if (this.scoringPolicySelect) {
+                        const policyOption = this.scoringPolicySelect.querySelector(`option[value="${config.scoringPolicy}"]`);
+                        this.scoringPolicySelect.value = config.scoringPolicy && policyOption ? config.scoringPolicy : '';
+                    }
+                    if (this.quizModeSelect) {
+                        const modeOption = this.quizModeSelect.querySelector(`option[value="${config.mode}"]`);
+                        this.quizModeSelect.value = config.mode && modeOption ? config.mode : '';
+                    }
+                    if (this.shuffleOptionsSelect) {
+                        this.shuffleOptionsSelect.value = typeof config.shuffleOptions === 'boolean'
+                            ? String(config.shuffleOptions)
+                            : '';
+                    }
+                    if (this.weakSpotFocusSelect) {
+                        const focusOption = this.weakSpotFocusSelect.querySelector(`option[value="${config.weakSpotFocus}"]`);
+                        this.weakSpotFocusSelect.value = typeof config.weakSpotFocus === 'number' && focusOption
+                            ? String(config.weakSpotFocus)
+                            : '';
+                    }
                 } else {
                     console.warn('Configuración guardada inválida, usando valores por defecto');
                     this.setDefaultConfiguration();
@@ -1046,9 +2537,22 @@ class UIController {
         if (this.quizFilenameInput) {
             this.quizFilenameInput.value = 'Quiz.md';
         }
+        if (this.scoringPolicySelect) {
+            this.scoringPolicySelect.value = '';
+        }
+        if (this.quizModeSelect) {
+            this.quizModeSelect.value = '';
+        }
+        if (this.shuffleOptionsSelect) {
+            this.shuffleOptionsSelect.value = '';
+        }
+        if (this.weakSpotFocusSelect) {
+            this.weakSpotFocusSelect.value = '';
+        }
         if (this.questionCountInput) {
-            this.questionCountInput.value = 10;
-            console.log('Configuración por defecto aplicada: Quiz.md, 10 preguntas');
+            const questionCount = this.quizMetadata.questionCount || 10;
+            this.questionCountInput.value = questionCount;
+            console.log(`Configuración por defecto aplicada: Quiz.md, ${questionCount} preguntas`);
         }
     }
 
@@ -1116,6 +2620,7 @@ class UIController {
     // Initialize the UI
     initialize() {
         this.loadConfiguration();
+        this.applyUrlSeed();
         this.showConfiguration();
     }
 }